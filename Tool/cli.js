@@ -0,0 +1,825 @@
+#!/usr/bin/env node
+/**
+ * Command Line Entry Point
+ * Runs the same conversion as index.html, but headless in Node.js so it can be scripted into a build.
+ * Uses @xmldom/xmldom as the DOM implementation. Dependencies are pinned in package.json (install them with: npm install).
+ *
+ * Usage:
+ *   node cli.js [--dll <path>]... [--out <dir>] <xml|ast.json>...
+ *   node cli.js --batch <dir> [--dll <path>]... [--out <dir>]
+ *   node cli.js --diff <old.xml> <new.xml> [--dll <path>]... [--out <dir>]
+ *   node cli.js --merge <xml>... [--dll <path>]... [--out <dir>]
+ */
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const {
+    convertXmlDom,
+    indexDlls,
+    createDllIndex,
+    serializeIndexedDll,
+    restoreIndexedDll,
+    parseXmlFileName,
+    compareVersions,
+    diffDefinitions,
+    formatDiffMarkdown,
+    mergeDefinitionVersions,
+    createLogger,
+    exportDefinitionsJson,
+    mapHeader,
+    importDefinitionsJson,
+    LOG_LEVELS,
+    LOG_CATEGORIES,
+    compileTypeNameRules,
+    OUTPUT_PROFILES,
+    UNRESOLVED_TYPE_MODES,
+    inferGlobalInstances,
+    sort,
+    applyPatch,
+    validatePatch,
+    summarizePatchResults,
+    compileFixDecisions,
+    generate,
+    generateHtmlSite,
+    generateMarkdownDocs,
+    validateDts,
+} = require('./index.js');
+
+const USAGE = `Usage: node cli.js [options] <xml|ast.json>...
+       node cli.js --batch <dir> [options]
+       node cli.js --diff <old.xml> <new.xml> [options]
+       node cli.js --merge <xml>... [options]
+
+Converts ExtendScript Toolkit XML DOM files to TypeScript definitions (.d.ts).
+AST exports (.json, see --json) can be given instead of XML to regenerate their .d.ts.
+
+Options:
+  -d, --dll <path>   Binary (DLL) used to recover broken XML data. Can be repeated.
+                     Each binary is indexed once per run, however many XML files there are.
+      --min-confidence <0-1>
+                     Only make binary fixes scoring at least this (by locality, uniqueness of
+                     the method name, agreement between DLLs and description shape).
+                     Weaker ones are listed in the diagnostics with "applied": false. Default: 0.
+      --decisions <file>
+                     Accept/reject decisions for binary fixes, as exported by the review
+                     screen of index.html. They override --min-confidence for those fixes.
+      --cache-dir <dir>
+                     Keep the index of each binary in <dir>, keyed by a hash of its content,
+                     so later runs with the same binary skip indexing.
+  -o, --out <dir>    Output directory for the generated files (default: current directory).
+      --diagnostics  Also write <name>.diagnostics.json listing every repair applied
+                     to the XML data (class, member, parameter, kind, before/after, source).
+                     Methods whose binary match was a guess go to <name>.ambiguities.json.
+      --profile <name>
+                     Output layout: ${Object.keys(OUTPUT_PROFILES).join(', ')} (default: default).
+                     types-for-adobe links the shared ExtendScript types and declares \`app\`.
+      --reference <path>
+                     /// <reference path> to emit at the top. Can be repeated.
+                     Replaces the profile's default references.
+      --app <id>     Host app id (e.g. premierepro, ame) used to pick the global instances.
+                     Default: from the omv$<app>-... file name, else the XML's <map> title.
+      --global <name:Type>
+                     Declare a global instance (e.g. app:Application). Can be repeated.
+                     Replaces the detected ones; use "none" to declare no globals.
+      --globals <file>
+                     JSON mapping of app id to global instances, merged over the defaults,
+                     e.g. {"premierepro": [{"name": "app", "type": "Application"}]}.
+      --type-rules <file>
+                     JSON list of extra type name rules, checked before the built-in ones,
+                     e.g. [{"name": "Colour", "to": "Color"}, {"pattern": "^Array of (\\w+)s$",
+                     "to": "$1", "isArray": true, "recurse": true}].
+      --patch <file> Manual overrides (.json, or .yaml/.yml with the optional yaml package) keyed by
+                     "Class.member", applied after DLL recovery. Can be repeated.
+                     Prints which entries applied, were already satisfied by the XML,
+                     or are stale (their class, member or parameter no longer exists).
+      --unresolved-types <mode>
+                     What to do with types that are referenced but never declared:
+                     ${UNRESOLVED_TYPE_MODES.join(', ')} (default: stub). stub declares an empty
+                     interface, any replaces the reference. Both are listed in the diagnostics.
+      --external-type <name>
+                     Type declared elsewhere (e.g. by a --reference file), never stubbed
+                     or replaced. Can be repeated.
+      --json         Also write <name>.ast.json, the refined AST in the versioned
+                     format described by ast.schema.json.
+      --toc          Also write <name>.toc.json, the <map> title, version and <topicref>
+                     navigation tree, for documentation tools.
+      --html         Also write an offline HTML API reference (one page per class,
+                     with search) into a <name>-reference/ folder.
+      --markdown     Also write one Markdown page per class or enum (for wikis)
+                     into a <name>-md/ folder.
+      --validate     Compile each generated .d.ts in memory with the TypeScript compiler
+                     (optional typescript package) and report errors per class and member.
+                     Writes <name>.validation.json and exits with 1 if any are found.
+      --log-level <level>
+                     Converter logging on stderr: ${Object.keys(LOG_LEVELS).join(', ')} (default: silent).
+      --log-category <category>
+                     Only log this category (${LOG_CATEGORIES.join(', ')}). Can be repeated.
+  -b, --batch <dir>  Convert every XML under <dir> (e.g. "XML Archive") into a mirrored tree
+                     under --out, and write a manifest.json listing each version.
+      --diff         Compare the API of two XML files and write the changes as
+                     Markdown and JSON (<old>_to_<new>.diff.md / .diff.json) to --out.
+      --merge        Merge every version of one app into a single <app>.d.ts, tagging
+                     members with @since / @deprecated based on the versions they exist in.
+  -h, --help         Show this help.
+`;
+
+/**
+ * Settings shared by all CLI modes.
+ * @typedef {Object} CliContext
+ * @property {string} outDir - Absolute output directory.
+ * @property {any} dlls - Binaries used for recovery, indexed once for the run (DllIndex, see readDllIndex).
+ * @property {boolean} withDiagnostics - Also write a .diagnostics.json next to each .d.ts.
+ * @property {boolean} withAstJson - Also write an .ast.json next to each .d.ts.
+ * @property {boolean} withToc - Also write a .toc.json next to each .d.ts.
+ * @property {boolean} withHtml - Also write an HTML reference folder next to each .d.ts.
+ * @property {boolean} withMarkdown - Also write a folder of Markdown pages next to each .d.ts.
+ * @property {Array<string>} patchFiles - Names of the --patch files, in the order of options.patches.
+ * @property {Set<number>} matchedDecisions - Positions of the --decisions entries that matched a fix in any conversion so far.
+ * @property {{logger: any, output: {profile?: string, references?: Array<string>, globals?: Array<{name: string, type: string}>}, appId?: string, globalInstances?: Object<string, any>, typeNameRules?: any, patches?: Array<any>, unresolvedTypes?: string, externalTypes?: Array<string>, typescript?: any, minConfidence?: number, fixDecisions?: any}} options - Options passed to convertXmlDom.
+ */
+
+/**
+ * Loads the Node.js DOM implementation. Kept lazy so --help works without it installed.
+ * @returns {any} - The DOMParser constructor.
+ */
+function loadDomParser() {
+    try {
+        return require('@xmldom/xmldom').DOMParser;
+    } catch (e) {
+        throw new Error("Missing dependency '@xmldom/xmldom'. Run npm install in the Tool folder");
+    }
+}
+
+/**
+ * Loads the TypeScript compiler for --validate. Kept lazy so it is only needed when validating.
+ * @returns {any} - The TypeScript module.
+ */
+function loadTypeScript() {
+    let ts;
+    try {
+        ts = require('typescript');
+    } catch (e) {
+        throw new Error("Missing dependency 'typescript' (needed by --validate). Run npm install in the Tool folder");
+    }
+    // The native compiler previews (typescript 7) ship without the JavaScript compiler API
+    if (typeof ts.createProgram !== 'function') {
+        throw new Error(`typescript ${ts.version || ''} has no compiler API (needed by --validate). Run npm install in the Tool folder for the pinned version 5`);
+    }
+    return ts;
+}
+
+/**
+ * Reads a patch file. YAML needs the 'yaml' package, loaded only when such a file is given.
+ * The patch is validated right away, so a typo fails before any conversion.
+ * @param {string} patchPath
+ * @returns {any} - Patch
+ */
+function readPatchFile(patchPath) {
+    const text = fs.readFileSync(patchPath, 'utf8');
+    let patch;
+    if (/\.ya?ml$/i.test(patchPath)) {
+        let YAML;
+        try {
+            YAML = require('yaml');
+        } catch (e) {
+            throw new Error("Missing dependency 'yaml' (needed for YAML patch files). Run npm install in the Tool folder");
+        }
+        patch = YAML.parse(text);
+    } else {
+        patch = JSON.parse(text);
+    }
+    try {
+        validatePatch(patch);
+    } catch (err) {
+        throw new Error(`${path.basename(patchPath)}: ${err instanceof Error ? err.message : err}`);
+    }
+    return patch;
+}
+
+/**
+ * Reads and parses an XML file into a DOM Document.
+ * Malformed XML is treated as fatal, matching the "parsererror" check in index.html.
+ * @param {string} xmlPath
+ * @param {Array<string>} [warnings] - Receives non-fatal parser warnings.
+ * @returns {Document}
+ */
+function readXmlDocument(xmlPath, warnings = []) {
+    const DOMParser = loadDomParser();
+    const xmlText = fs.readFileSync(xmlPath, 'utf8');
+    /** @type {Array<string>} */
+    const errors = [];
+    const parser = new DOMParser({
+        onError: (/** @type {string} */ level, /** @type {string} */ message) => {
+            if (level === 'warning') warnings.push(message);
+            else errors.push(message);
+        }
+    });
+    const xmlDoc = parser.parseFromString(xmlText, 'application/xml');
+    if (errors.length > 0 || !xmlDoc || !xmlDoc.documentElement) {
+        throw new Error(`XML Error in ${path.basename(xmlPath)}: ${errors[0] || 'no document element'}`);
+    }
+    return xmlDoc;
+}
+
+/**
+ * Reads and indexes the binaries once for the whole run, so every XML of a batch reuses the same index.
+ * With a cache directory, each binary's index is stored there as <sha256 of the file>.json and reused on later runs.
+ * @param {Array<string>} dllPaths
+ * @param {string|undefined} cacheDir
+ * @param {{logger: any}} options - Logger for the indexing messages.
+ * @returns {any} - DllIndex for convertXmlDom
+ */
+function readDllIndex(dllPaths, cacheDir, options) {
+    if (cacheDir) fs.mkdirSync(cacheDir, { recursive: true });
+    const indexedDlls = dllPaths.map(dllPath => {
+        const buffer = fs.readFileSync(dllPath);
+        const dll = { name: path.basename(dllPath), data: new Uint8Array(buffer.buffer, buffer.byteOffset, buffer.byteLength) };
+        if (!cacheDir) return indexDlls([dll], options).dlls[0];
+
+        const cachePath = path.join(cacheDir, crypto.createHash('sha256').update(buffer).digest('hex') + '.json');
+        if (fs.existsSync(cachePath)) {
+            try {
+                const restored = restoreIndexedDll(JSON.parse(fs.readFileSync(cachePath, 'utf8')), dll.name, options);
+                if (restored) return restored;
+            } catch (e) {
+                // Unreadable cache file, index again and overwrite it
+            }
+        }
+        const indexed = indexDlls([dll], options).dlls[0];
+        try {
+            fs.writeFileSync(cachePath, JSON.stringify(serializeIndexedDll(indexed)));
+        } catch (e) {
+            // Read-only or full cache directory: the index is built anyway, only later runs index again
+            options.logger.info('cache', `[BINARY] ${dll.name}: could not write the index cache ${cachePath} (${e instanceof Error ? e.message : e})`);
+        }
+        return indexed;
+    });
+    return createDllIndex(indexedDlls, options);
+}
+
+/**
+ * Conversion options for one input file. The app id from the file name wins over <map> title detection,
+ * unless --app was given.
+ * @param {CliContext} context
+ * @param {string} fileName
+ */
+function optionsForFile(context, fileName) {
+    const info = parseXmlFileName(fileName);
+    return Object.assign({}, context.options, { appId: context.options.appId || (info ? info.appId : undefined) });
+}
+
+/**
+ * Parses --global values ("app:Application") into global instance entries.
+ * @param {Array<string>|undefined} values
+ * @returns {Array<{name: string, type: string}>|undefined} - Undefined when not given (use detection).
+ */
+function parseGlobalArgs(values) {
+    if (!values) return undefined;
+    if (values.length === 1 && values[0] === 'none') return [];
+    return values.map(value => {
+        const match = value.match(/^([A-Za-z_$][\w$]*):(.+)$/);
+        if (!match) throw new Error(`Invalid --global "${value}" (expected name:Type, e.g. app:Application)`);
+        return { name: match[1], type: match[2].trim() };
+    });
+}
+
+/**
+ * Reads a --decisions file, checking it before any conversion.
+ * @param {string|undefined} decisionsPath
+ * @returns {any} - FixDecisions document
+ */
+function readFixDecisions(decisionsPath) {
+    if (decisionsPath === undefined) return undefined;
+    const decisions = JSON.parse(fs.readFileSync(decisionsPath, 'utf8'));
+    try {
+        compileFixDecisions(decisions);
+    } catch (err) {
+        throw new Error(`${path.basename(decisionsPath)}: ${err instanceof Error ? err.message : err}`);
+    }
+    return decisions;
+}
+
+/**
+ * Parses --min-confidence.
+ * @param {string|undefined} value
+ * @returns {number|undefined}
+ */
+function parseMinConfidence(value) {
+    if (value === undefined) return undefined;
+    const number = Number(value);
+    if (value.trim() === '' || !(number >= 0 && number <= 1)) throw new Error(`Invalid --min-confidence "${value}" (expected a number from 0 to 1)`);
+    return number;
+}
+
+/**
+ * Writes the repairs of one conversion next to its .d.ts (foo.d.ts -> foo.diagnostics.json),
+ * and the ambiguous binary matches, if there are any (foo.ambiguities.json).
+ * @param {string} dtsPath
+ * @param {Array<any>} diagnostics
+ * @param {Array<any>} [ambiguities]
+ */
+function writeDiagnostics(dtsPath, diagnostics, ambiguities = []) {
+    const diagnosticsPath = dtsPath.replace(/\.d\.ts$/, '.diagnostics.json');
+    fs.writeFileSync(diagnosticsPath, JSON.stringify(diagnostics, null, 2) + '\n');
+    console.log(`Wrote ${diagnosticsPath}`);
+    if (ambiguities.length === 0) return;
+    const ambiguitiesPath = dtsPath.replace(/\.d\.ts$/, '.ambiguities.json');
+    fs.writeFileSync(ambiguitiesPath, JSON.stringify(ambiguities, null, 2) + '\n');
+    console.log(`Wrote ${ambiguitiesPath}`);
+}
+
+/** Validation errors printed per file; the full list is in the .validation.json. */
+const VALIDATION_PRINT_LIMIT = 20;
+
+/**
+ * Prints the TypeScript errors of one generated .d.ts and writes them next to it (foo.d.ts -> foo.validation.json).
+ * @param {string} dtsPath
+ * @param {Array<any>} issues - ValidationIssue list from validateDts.
+ * @returns {number} - Number of errors.
+ */
+function reportValidation(dtsPath, issues) {
+    if (issues.length === 0) {
+        console.log(`${dtsPath}: no TypeScript errors`);
+        return 0;
+    }
+    for (const issue of issues.slice(0, VALIDATION_PRINT_LIMIT)) {
+        const owner = issue.className ? ` ${issue.className}${issue.member ? '.' + issue.member : ''}:` : '';
+        console.error(`${dtsPath}:${issue.line}:${issue.column} - TS${issue.code}${owner} ${issue.message}`);
+    }
+    const validationPath = dtsPath.replace(/\.d\.ts$/, '.validation.json');
+    fs.writeFileSync(validationPath, JSON.stringify(issues, null, 2) + '\n');
+    const more = issues.length > VALIDATION_PRINT_LIMIT ? `, ${issues.length - VALIDATION_PRINT_LIMIT} more not shown` : '';
+    console.error(`${dtsPath}: ${issues.length} TypeScript errors${more} (see ${validationPath})`);
+    return issues.length;
+}
+
+/**
+ * Prints how the --patch entries fared against one input: counts per status, then every entry that did not apply.
+ * Stale entries go to stderr, as they need updating for this host version.
+ * @param {string} label - Input file name or version
+ * @param {Array<any>} results - PatchResult list
+ * @param {CliContext} context
+ */
+function reportPatchResults(label, results, context) {
+    if (context.patchFiles.length === 0) return;
+    const counts = summarizePatchResults(results);
+    console.log(`${label}: patches ${counts.applied} applied, ${counts.alreadySatisfied} already satisfied, ${counts.stale} stale`);
+    for (const result of results) {
+        if (result.status === 'applied') continue;
+        const line = `  ${result.status} ${result.key} (${path.basename(context.patchFiles[result.patch || 0])})${result.notes.length > 0 ? ': ' + result.notes.join('; ') : ''}`;
+        if (result.status === 'stale') console.error(line);
+        else console.log(line);
+    }
+}
+
+/**
+ * Prints how many binary fixes scored below --min-confidence or were rejected by --decisions, and were only reported, not made.
+ * Also records which --decisions entries the conversion used, for reportUnmatchedDecisions.
+ * @param {string} label - Input file name or version
+ * @param {{diagnostics: Array<any>, matchedDecisions: Array<number>}} result - ConversionResult
+ * @param {CliContext} context
+ */
+function reportHeldBackFixes(label, result, context) {
+    for (const index of result.matchedDecisions) context.matchedDecisions.add(index);
+    if (!context.options.minConfidence && !context.options.fixDecisions) return;
+    const heldBack = result.diagnostics.filter(entry => entry.applied === false);
+    if (heldBack.length === 0) return;
+    const rejected = heldBack.filter(entry => entry.decision === 'rejected').length;
+    const details = context.withDiagnostics ? 'listed with "applied": false in the diagnostics' : 'add --diagnostics to list them';
+    const counts = [];
+    if (heldBack.length > rejected) counts.push(`${heldBack.length - rejected} binary fixes below confidence ${context.options.minConfidence}`);
+    if (rejected > 0) counts.push(`${rejected} rejected binary fixes`);
+    console.log(`${label}: ${counts.join(' and ')} not applied (${details})`);
+}
+
+/**
+ * Warns about --decisions entries that matched no fix of the run, typically because the XML or binaries changed
+ * since the review. Their fixes, if still found, were decided by --min-confidence instead.
+ * @param {string} decisionsPath - The --decisions file
+ * @param {CliContext} context
+ */
+function reportUnmatchedDecisions(decisionsPath, context) {
+    const decisions = context.options.fixDecisions.decisions;
+    const unmatched = decisions.filter((/** @type {any} */ decision, /** @type {number} */ index) => !context.matchedDecisions.has(index));
+    if (unmatched.length === 0) return;
+    console.error(`Warning: ${unmatched.length} of ${decisions.length} decisions in ${path.basename(decisionsPath)} matched no binary fix; those fixes follow --min-confidence:`);
+    for (const decision of unmatched) {
+        const parameter = decision.parameter === undefined ? '' : ` ${decision.parameter}`;
+        console.error(`  ${decision.className}.${decision.member}${parameter}: ${decision.kind} -> ${JSON.stringify(decision.after)}`);
+    }
+}
+
+/**
+ * Writes the refined AST of one conversion next to its .d.ts (foo.d.ts -> foo.ast.json).
+ * @param {string} dtsPath
+ * @param {Array<any>} definitions
+ * @param {Object<string, string>} source - Origin info stored in the document.
+ * @param {any} [map] - MapInfo of the XML, kept for the header comment of a regenerated .d.ts.
+ */
+function writeAstJson(dtsPath, definitions, source, map) {
+    const jsonPath = dtsPath.replace(/\.d\.ts$/, '.ast.json');
+    fs.writeFileSync(jsonPath, JSON.stringify(exportDefinitionsJson(definitions, source, map), null, 2) + '\n');
+    console.log(`Wrote ${jsonPath}`);
+}
+
+/**
+ * Writes the <map> navigation tree of one conversion next to its .d.ts (foo.d.ts -> foo.toc.json).
+ * @param {string} dtsPath
+ * @param {any} map - MapInfo from the conversion result (null if the XML has no <map>).
+ */
+function writeToc(dtsPath, map) {
+    if (!map) {
+        console.error(`No <map> in the XML for ${path.basename(dtsPath)}, skipping table of contents`);
+        return;
+    }
+    const tocPath = dtsPath.replace(/\.d\.ts$/, '.toc.json');
+    fs.writeFileSync(tocPath, JSON.stringify(map, null, 2) + '\n');
+    console.log(`Wrote ${tocPath}`);
+}
+
+/**
+ * Title and intro of the documentation of one converted file: the XML's <map> title, else the file name.
+ * @param {any} result - ConversionResult
+ * @param {string} fileName
+ */
+function docsOptionsFor(result, fileName) {
+    if (!result.map) return { title: fileName };
+    return { title: result.map.title, description: [`Version: ${result.map.version}`, `Source: ${fileName}`] };
+}
+
+/**
+ * Writes the requested documentation of one conversion next to its .d.ts:
+ * the HTML reference (foo.d.ts -> foo-reference/) and/or the Markdown pages (foo.d.ts -> foo-md/).
+ * @param {string} dtsPath
+ * @param {Array<any>} definitions - Sorted definitions.
+ * @param {any} docsOptions - DocsOptions (title, description).
+ * @param {CliContext} context
+ */
+function writeDocs(dtsPath, definitions, docsOptions, context) {
+    const outputs = [];
+    if (context.withHtml) outputs.push({ suffix: '-reference', files: generateHtmlSite(definitions, docsOptions) });
+    if (context.withMarkdown) outputs.push({ suffix: '-md', files: generateMarkdownDocs(definitions, docsOptions) });
+    for (const { suffix, files } of outputs) {
+        const docsDir = dtsPath.replace(/\.d\.ts$/, suffix);
+        fs.mkdirSync(docsDir, { recursive: true });
+        for (const file of files) fs.writeFileSync(path.join(docsDir, file.path), file.content);
+        console.log(`Wrote ${docsDir} (${files.length} files)`);
+    }
+}
+
+/**
+ * Recursively lists the XML files under a directory, in a stable order.
+ * @param {string} dir
+ * @returns {Array<string>}
+ */
+function findXmlFiles(dir) {
+    /** @type {Array<string>} */
+    let result = [];
+    const entries = fs.readdirSync(dir, { withFileTypes: true }).sort((a, b) => a.name.localeCompare(b.name));
+    for (const entry of entries) {
+        const fullPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+            result = result.concat(findXmlFiles(fullPath));
+        } else if (/\.xml$/i.test(entry.name)) {
+            result.push(fullPath);
+        }
+    }
+    return result;
+}
+
+/**
+ * Batch mode: converts every XML under inputDir into a mirrored tree under outDir and writes a manifest.
+ * A failing file is recorded in the manifest and does not stop the rest of the batch.
+ * @param {string} inputDir - Root of the archive, e.g. "XML Archive".
+ * @param {CliContext} context - outDir is the root of the output tree.
+ * @returns {number} - Process exit code (1 if any file failed or, with --validate, has TypeScript errors).
+ */
+function runBatch(inputDir, context) {
+    const { outDir } = context;
+    const manifestEntries = [];
+    let failed = 0;
+    let invalid = 0;
+
+    for (const xmlPath of findXmlFiles(inputDir)) {
+        const relativePath = path.relative(inputDir, xmlPath);
+        const relativeDir = path.dirname(relativePath);
+        const fileName = path.basename(xmlPath);
+        const info = parseXmlFileName(fileName);
+        /** @type {Array<string>} */
+        const warnings = [];
+
+        const entry = {
+            // The archive groups dumps by app folder ("Premiere Pro"), so prefer that as the display name
+            app: relativeDir !== '.' ? relativeDir.split(path.sep).join('/') : (info ? info.appId : null),
+            appId: info ? info.appId : null,
+            domVersion: info ? info.domVersion : null,
+            version: info ? info.version : null,
+            source: relativePath.split(path.sep).join('/'),
+            output: /** @type {string|null} */ (null),
+            classCount: 0,
+            enumCount: 0,
+            methodCount: 0,
+            fixCount: 0,
+            ambiguousMatchCount: 0,
+            patches: /** @type {{applied: number, alreadySatisfied: number, stale: number}|null} */ (null),
+            validationErrors: /** @type {number|null} */ (null),
+            warnings,
+            error: /** @type {string|null} */ (null),
+        };
+        if (!info) warnings.push(`File name does not follow the omv$<app>-<dom>$<version>.xml format`);
+
+        try {
+            const xmlDoc = readXmlDocument(xmlPath, warnings);
+            const result = convertXmlDom(xmlDoc, context.dlls, optionsForFile(context, fileName));
+            reportPatchResults(fileName, result.patchResults, context);
+            reportHeldBackFixes(fileName, result, context);
+
+            const outRelative = path.join(relativeDir, fileName.replace(/\.xml$/i, '.d.ts'));
+            const outPath = path.join(outDir, outRelative);
+            fs.mkdirSync(path.dirname(outPath), { recursive: true });
+            fs.writeFileSync(outPath, result.dts);
+
+            entry.output = outRelative.split(path.sep).join('/');
+            entry.classCount = result.summary.classCount;
+            entry.enumCount = result.summary.enumCount;
+            entry.methodCount = result.summary.methodCount;
+            entry.fixCount = result.diagnostics.length;
+            entry.ambiguousMatchCount = result.ambiguities.length;
+            if (context.patchFiles.length > 0) entry.patches = summarizePatchResults(result.patchResults);
+            warnings.push(...result.summary.warnings);
+            console.log(`Wrote ${outPath}`);
+            if (context.withDiagnostics) writeDiagnostics(outPath, result.diagnostics, result.ambiguities);
+            if (context.withAstJson) writeAstJson(outPath, result.definitions, { file: fileName }, result.map);
+            if (context.withToc) writeToc(outPath, result.map);
+            writeDocs(outPath, result.definitions, docsOptionsFor(result, fileName), context);
+            if (result.validation) {
+                entry.validationErrors = reportValidation(outPath, result.validation);
+                if (entry.validationErrors > 0) invalid++;
+            }
+        } catch (err) {
+            failed++;
+            entry.error = err instanceof Error ? err.message : String(err);
+            console.error(`Error: ${relativePath}: ${entry.error}`);
+        }
+        manifestEntries.push(entry);
+    }
+
+    // Order by app, then by version so the manifest reads as a release history
+    manifestEntries.sort((a, b) =>
+        String(a.app).localeCompare(String(b.app)) ||
+        compareVersions(a.version || '0', b.version || '0') ||
+        a.source.localeCompare(b.source)
+    );
+
+    fs.mkdirSync(outDir, { recursive: true });
+    const manifestPath = path.join(outDir, 'manifest.json');
+    fs.writeFileSync(manifestPath, JSON.stringify({ files: manifestEntries }, null, 2) + '\n');
+    const invalidNote = context.options.typescript ? `, ${invalid} with TypeScript errors` : '';
+    console.log(`Wrote ${manifestPath} (${manifestEntries.length} files, ${failed} failed${invalidNote})`);
+
+    return failed > 0 || invalid > 0 ? 1 : 0;
+}
+
+/**
+ * Label used for a version in reports: the host version from the file name, or the file name itself.
+ * @param {string} xmlPath
+ * @returns {string}
+ */
+function versionLabel(xmlPath) {
+    const fileName = path.basename(xmlPath);
+    const info = parseXmlFileName(fileName);
+    return info ? info.version : fileName.replace(/\.xml$/i, '');
+}
+
+/**
+ * Diff mode: compares the refined ASTs of two XML files and writes the report as Markdown and JSON.
+ * @param {string} oldXmlPath
+ * @param {string} newXmlPath
+ * @param {CliContext} context
+ * @returns {number} - Process exit code.
+ */
+function runDiff(oldXmlPath, newXmlPath, context) {
+    const { outDir } = context;
+    const oldResult = convertXmlDom(readXmlDocument(oldXmlPath), context.dlls, optionsForFile(context, path.basename(oldXmlPath)));
+    const newResult = convertXmlDom(readXmlDocument(newXmlPath), context.dlls, optionsForFile(context, path.basename(newXmlPath)));
+    reportPatchResults(path.basename(oldXmlPath), oldResult.patchResults, context);
+    reportHeldBackFixes(path.basename(oldXmlPath), oldResult, context);
+    reportPatchResults(path.basename(newXmlPath), newResult.patchResults, context);
+    reportHeldBackFixes(path.basename(newXmlPath), newResult, context);
+    const report = diffDefinitions(oldResult.definitions, newResult.definitions, versionLabel(oldXmlPath), versionLabel(newXmlPath));
+
+    fs.mkdirSync(outDir, { recursive: true });
+    const baseName = `${report.from}_to_${report.to}.diff`;
+    const markdownPath = path.join(outDir, `${baseName}.md`);
+    const jsonPath = path.join(outDir, `${baseName}.json`);
+    fs.writeFileSync(markdownPath, formatDiffMarkdown(report));
+    fs.writeFileSync(jsonPath, JSON.stringify(report, null, 2) + '\n');
+    console.log(`Wrote ${markdownPath}`);
+    console.log(`Wrote ${jsonPath}`);
+    return 0;
+}
+
+/**
+ * Merge mode: converts several versions of one app and writes a single combined .d.ts
+ * with @since / @deprecated tags derived from the version history.
+ * @param {Array<string>} xmlPaths - XML files of the same app. Versions come from the file names.
+ * @param {CliContext} context
+ * @returns {number} - Process exit code (1 if, with --validate, the output has TypeScript errors).
+ */
+function runMerge(xmlPaths, context) {
+    const { outDir } = context;
+    const infos = xmlPaths.map(xmlPath => {
+        const info = parseXmlFileName(path.basename(xmlPath));
+        if (!info) throw new Error(`Cannot read a version from ${path.basename(xmlPath)} (expected omv$<app>-<dom>$<version>.xml)`);
+        return info;
+    });
+    const appIds = [...new Set(infos.map(info => info.appId))];
+    if (appIds.length > 1) throw new Error(`Merge needs versions of a single app, got: ${appIds.join(', ')}`);
+
+    const versions = xmlPaths.map((xmlPath, i) => {
+        const result = convertXmlDom(readXmlDocument(xmlPath), context.dlls, optionsForFile(context, path.basename(xmlPath)));
+        reportPatchResults(infos[i].version, result.patchResults, context);
+        reportHeldBackFixes(infos[i].version, result, context);
+        return { version: infos[i].version, definitions: result.definitions };
+    });
+    const ordered = versions.map(v => v.version).sort(compareVersions);
+    const merged = sort(mergeDefinitionVersions(versions));
+
+    fs.mkdirSync(outDir, { recursive: true });
+    const outPath = path.join(outDir, `${appIds[0]}.d.ts`);
+    const appId = context.options.appId || appIds[0];
+    const output = Object.assign({}, context.options.output);
+    if (!output.globals) output.globals = inferGlobalInstances(merged, appId, context.options.globalInstances);
+    if (!output.header) output.header = [`${appId} object model, merged from ${versions.length} versions (${ordered.join(', ')})`];
+    const dts = generate(merged, output);
+    fs.writeFileSync(outPath, dts);
+    console.log(`Wrote ${outPath} (${ordered[0]} - ${ordered[ordered.length - 1]}, ${versions.length} versions)`);
+    if (context.withAstJson) {
+        writeAstJson(outPath, merged, { appId: appIds[0], versions: `${ordered[0]} - ${ordered[ordered.length - 1]}` });
+    }
+    writeDocs(outPath, merged, { title: `${appId} object model`, description: output.header }, context);
+    if (context.options.typescript && reportValidation(outPath, validateDts(dts, context.options.typescript)) > 0) return 1;
+    return 0;
+}
+
+/**
+ * Default mode: converts each XML file into a .d.ts of the same name in the output directory.
+ * AST exports (.json) are imported and regenerated instead of parsed.
+ * @param {Array<string>} inputPaths
+ * @param {CliContext} context
+ * @returns {number} - Process exit code (1 if, with --validate, any output has TypeScript errors).
+ */
+function runConvert(inputPaths, context) {
+    fs.mkdirSync(context.outDir, { recursive: true });
+    let invalid = 0;
+
+    for (const inputPath of inputPaths) {
+        const fileName = path.basename(inputPath);
+
+        if (/\.json$/i.test(fileName)) {
+            const doc = JSON.parse(fs.readFileSync(inputPath, 'utf8'));
+            const definitions = importDefinitionsJson(doc);
+            const patchResults = [];
+            for (const [index, patch] of (context.options.patches || []).entries()) {
+                for (const result of applyPatch(definitions, patch)) patchResults.push(Object.assign(result, { patch: index }));
+            }
+            reportPatchResults(fileName, patchResults, context);
+            const outPath = path.join(context.outDir, fileName.replace(/(\.ast)?\.json$/i, '.d.ts'));
+            const output = Object.assign({}, context.options.output);
+            if (!output.header && doc.map) output.header = mapHeader(doc.map);
+            const dts = generate(sort(definitions), output);
+            fs.writeFileSync(outPath, dts);
+            console.log(`Wrote ${outPath}`);
+            if (context.options.typescript && reportValidation(outPath, validateDts(dts, context.options.typescript)) > 0) invalid++;
+            continue;
+        }
+
+        const xmlDoc = readXmlDocument(inputPath);
+
+        // *** CORE PROCESSING ***
+        const result = convertXmlDom(xmlDoc, context.dlls, optionsForFile(context, fileName));
+        reportPatchResults(fileName, result.patchResults, context);
+        reportHeldBackFixes(fileName, result, context);
+
+        const originalName = fileName.replace(/\.xml$/i, '');
+        const outPath = path.join(context.outDir, `${originalName}.d.ts`);
+        fs.writeFileSync(outPath, result.dts);
+        console.log(`Wrote ${outPath}`);
+        if (context.withDiagnostics) writeDiagnostics(outPath, result.diagnostics, result.ambiguities);
+        if (context.withAstJson) writeAstJson(outPath, result.definitions, { file: fileName }, result.map);
+        if (context.withToc) writeToc(outPath, result.map);
+        writeDocs(outPath, result.definitions, docsOptionsFor(result, fileName), context);
+        if (result.validation && reportValidation(outPath, result.validation) > 0) invalid++;
+    }
+    return invalid > 0 ? 1 : 0;
+}
+
+/**
+ * Runs the CLI.
+ * @param {Array<string>} argv - Arguments without the node executable and script path.
+ * @returns {number} - Process exit code.
+ */
+function main(argv) {
+    const { values, positionals } = parseArgs({
+        args: argv,
+        allowPositionals: true,
+        options: {
+            dll: { type: 'string', short: 'd', multiple: true },
+            'cache-dir': { type: 'string' },
+            'min-confidence': { type: 'string' },
+            decisions: { type: 'string' },
+            out: { type: 'string', short: 'o' },
+            batch: { type: 'string', short: 'b' },
+            diff: { type: 'boolean' },
+            merge: { type: 'boolean' },
+            diagnostics: { type: 'boolean' },
+            json: { type: 'boolean' },
+            toc: { type: 'boolean' },
+            html: { type: 'boolean' },
+            markdown: { type: 'boolean' },
+            validate: { type: 'boolean' },
+            profile: { type: 'string' },
+            reference: { type: 'string', multiple: true },
+            app: { type: 'string' },
+            global: { type: 'string', multiple: true },
+            globals: { type: 'string' },
+            'type-rules': { type: 'string' },
+            patch: { type: 'string', multiple: true },
+            'unresolved-types': { type: 'string' },
+            'external-type': { type: 'string', multiple: true },
+            'log-level': { type: 'string' },
+            'log-category': { type: 'string', multiple: true },
+            help: { type: 'boolean', short: 'h' },
+        }
+    });
+
+    if (values.help) {
+        process.stdout.write(USAGE);
+        return 0;
+    }
+    const expectedPositionals = values.batch ? 0 : values.diff ? 2 : values.merge ? 2 : 1;
+    const hasValidPositionals = values.diff ? positionals.length === 2 : positionals.length >= expectedPositionals;
+    if (!hasValidPositionals) {
+        process.stderr.write(USAGE);
+        return 2;
+    }
+
+    // Converter messages go to stderr so stdout only lists the written files
+    const logger = createLogger({
+        level: values['log-level'] || 'silent',
+        categories: values['log-category'],
+        sink: (level, category, message) => console.error(message),
+    });
+
+    /** @type {CliContext} */
+    const context = {
+        outDir: path.resolve(values.out || '.'),
+        dlls: readDllIndex(values.dll || [], values['cache-dir'], { logger }),
+        withDiagnostics: !!values.diagnostics,
+        withAstJson: !!values.json,
+        withToc: !!values.toc,
+        withHtml: !!values.html,
+        withMarkdown: !!values.markdown,
+        patchFiles: values.patch || [],
+        matchedDecisions: new Set(),
+        options: {
+            logger,
+            output: {
+                profile: values.profile,
+                references: values.reference,
+                globals: parseGlobalArgs(values.global),
+            },
+            appId: values.app,
+            globalInstances: values.globals ? JSON.parse(fs.readFileSync(values.globals, 'utf8')) : undefined,
+            // Compiled once up front so a broken rules file fails before any conversion
+            typeNameRules: values['type-rules'] ? compileTypeNameRules(fs.readFileSync(values['type-rules'], 'utf8')).map(compiled => compiled.rule) : undefined,
+            patches: (values.patch || []).map(readPatchFile),
+            unresolvedTypes: values['unresolved-types'],
+            externalTypes: values['external-type'],
+            typescript: values.validate ? loadTypeScript() : undefined,
+            minConfidence: parseMinConfidence(values['min-confidence']),
+            fixDecisions: readFixDecisions(values.decisions),
+        },
+    };
+
+    const exitCode = values.batch ? runBatch(values.batch, context)
+        : values.diff ? runDiff(positionals[0], positionals[1], context)
+        : values.merge ? runMerge(positionals, context)
+        : runConvert(positionals, context);
+    if (values.decisions !== undefined) reportUnmatchedDecisions(values.decisions, context);
+    return exitCode;
+}
+
+if (require.main === module) {
+    try {
+        process.exitCode = main(process.argv.slice(2));
+    } catch (err) {
+        console.error(`Error: ${err instanceof Error ? err.message : err}`);
+        process.exitCode = 1;
+    }
+}
+
+module.exports = { main };
@@ -0,0 +1,87 @@
+/**
+ * Browser cache of DLL string indexes, shared by index.html and worker.js (load index.js first).
+ * Each binary is indexed once per batch, and its index is kept in IndexedDB under the SHA-256 of its content,
+ * so a later session with the same DLL (under any file name) skips indexing.
+ * Without IndexedDB or crypto.subtle (e.g. some browsers on pages opened from disk), binaries are just indexed.
+ */
+/* global indexDlls, createDllIndex, serializeIndexedDll, restoreIndexedDll */
+
+const DLL_CACHE_DB_NAME = 'extendscript-dll-index-cache';
+const DLL_CACHE_STORE_NAME = 'indexes';
+
+/**
+ * Indexes the binaries of a batch, reusing and filling the IndexedDB cache.
+ * @param {Array<{name: string, data: Uint8Array}>} dllBuffers
+ * @param {{logger?: any, onProgress?: Function}} [options] - Logger for the indexing messages; onProgress gets an 'indexing' ConversionProgress per DLL.
+ * @returns {Promise<any>} - DllIndex for convertXmlDom
+ */
+async function loadDllIndex(dllBuffers, options = {}) {
+    const db = await openDllCache();
+    const indexedDlls = [];
+    for (let i = 0; i < dllBuffers.length; i++) {
+        const dll = dllBuffers[i];
+        if (options.onProgress) options.onProgress({ stage: 'indexing', done: i, total: dllBuffers.length, item: dll.name });
+
+        const key = db ? await hashDll(dll.data) : null;
+        const stored = key ? await dllCacheRequest(db, 'readonly', store => store.get(key)) : undefined;
+        const restored = stored ? restoreIndexedDll(stored, dll.name, options) : null;
+        if (restored) {
+            indexedDlls.push(restored);
+            continue;
+        }
+
+        const indexed = indexDlls([dll], { logger: options.logger }).dlls[0];
+        if (key) await dllCacheRequest(db, 'readwrite', store => store.put(serializeIndexedDll(indexed), key));
+        indexedDlls.push(indexed);
+    }
+    if (db) db.close();
+    return createDllIndex(indexedDlls, options);
+}
+
+/**
+ * Opens the cache database, or resolves to null if IndexedDB or hashing is unavailable.
+ * @returns {Promise<IDBDatabase|null>}
+ */
+function openDllCache() {
+    if (typeof indexedDB === 'undefined' || typeof crypto === 'undefined' || !crypto.subtle) return Promise.resolve(null);
+    return new Promise(resolve => {
+        try {
+            const request = indexedDB.open(DLL_CACHE_DB_NAME, 1);
+            request.onupgradeneeded = () => request.result.createObjectStore(DLL_CACHE_STORE_NAME);
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => resolve(null);
+        } catch (e) {
+            resolve(null);
+        }
+    });
+}
+
+/**
+ * Runs one request against the cache store. Failures (e.g. quota exceeded) resolve to undefined,
+ * as the cache is only an optimization.
+ * @param {IDBDatabase} db
+ * @param {IDBTransactionMode} mode
+ * @param {(store: IDBObjectStore) => IDBRequest} makeRequest
+ * @returns {Promise<any>}
+ */
+function dllCacheRequest(db, mode, makeRequest) {
+    return new Promise(resolve => {
+        try {
+            const request = makeRequest(db.transaction(DLL_CACHE_STORE_NAME, mode).objectStore(DLL_CACHE_STORE_NAME));
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => resolve(undefined);
+        } catch (e) {
+            resolve(undefined);
+        }
+    });
+}
+
+/**
+ * Hex SHA-256 of a binary, the cache key.
+ * @param {Uint8Array} data
+ * @returns {Promise<string>}
+ */
+async function hashDll(data) {
+    const digest = await crypto.subtle.digest('SHA-256', data);
+    return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+}
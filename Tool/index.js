@@ -3,35 +3,407 @@
  * PRIME DIRECTIVE: Parse Adobe ExtendScript XML DOM files (which are malformed from the source) 
  * and recover correct type definitions by cross-referencing with binary DLL files.
  * * @param {Document} xmlDocument - The XML DOM object containing the malformed ExtendScript definitions.
- * @param {Array<{name: string, data: Uint8Array}>} dllBuffers - Optional binary data from DLLs used for recovery.
+ * @param {Array<{name: string, data: Uint8Array}>|DllIndex} dllBuffers - Optional binary data from DLLs used for recovery, or an index of it from indexDlls (to index the DLLs once for several XMLs).
+ * @param {ConversionOptions} [options] - Optional settings (logging, etc).
  * @returns {string} - The generated TypeScript definition (.d.ts) content.
  */
-// @ts-ignore - Intentionally extending window object for browser context
-window.convertXmlDomToDts = function (xmlDocument, dllBuffers = []) {
+function convertXmlDomToDts(xmlDocument, dllBuffers = [], options = {}) {
+    return convertXmlDom(xmlDocument, dllBuffers, options).dts;
+}
+
+/**
+ * Same pipeline as convertXmlDomToDts, but also returns the refined AST and a summary of it.
+ * Used by callers that need more than the text, like the CLI batch manifest.
+ * * @param {Document} xmlDocument - The XML DOM object containing the malformed ExtendScript definitions.
+ * @param {Array<{name: string, data: Uint8Array}>|DllIndex} dllBuffers - Optional binary data from DLLs used for recovery, or an index of it from indexDlls (to index the DLLs once for several XMLs).
+ * @param {ConversionOptions} [options] - Optional settings (logging, etc).
+ * @returns {ConversionResult}
+ */
+function convertXmlDom(xmlDocument, dllBuffers = [], options = {}) {
+    return withConversionState(options, () => runConversion(xmlDocument, dllBuffers, options));
+}
+
+/**
+ * Runs fn with the caller's logger, type name rules and progress callback swapped in, restoring the previous ones after.
+ * @template T
+ * @param {ConversionOptions} options
+ * @param {() => T} fn
+ * @returns {T}
+ */
+function withConversionState(options, fn) {
+    const previousLogger = log;
+    const previousTypeNameRules = typeNameRules;
+    const previousReportProgress = reportProgress;
+    if (options.logger) log = options.logger;
+    if (options.typeNameRules) typeNameRules = compileTypeNameRules(options.typeNameRules).concat(previousTypeNameRules);
+    if (options.onProgress) reportProgress = options.onProgress;
+    try {
+        return fn();
+    } finally {
+        log = previousLogger;
+        typeNameRules = previousTypeNameRules;
+        reportProgress = previousReportProgress;
+    }
+}
+
+/**
+ * The conversion pipeline itself (parse -> refine -> patch -> resolve types -> sort -> generate). See convertXmlDom.
+ * @param {Document} xmlDocument
+ * @param {Array<{name: string, data: Uint8Array}>|DllIndex} dllBuffers
+ * @param {ConversionOptions} options
+ * @returns {ConversionResult}
+ */
+function runConversion(xmlDocument, dllBuffers, options) {
+    /** @type {Array<Diagnostic>} */
+    const diagnostics = [];
+
     // 1. Parse XML to AST
-    const definitions = parse(xmlDocument);
+    const definitions = parse(xmlDocument, diagnostics);
+    const map = parseMap(xmlDocument, definitions);
 
     // 2. Fix using DLL binaries if provided
-    if (dllBuffers && dllBuffers.length > 0) {
-        refineDefinitionsWithDlls(definitions, dllBuffers);
+    /** @type {Array<MethodChange>} */
+    let methodChanges = [];
+    /** @type {Array<Diagnostic>} */
+    const ambiguities = [];
+    /** @type {Set<number>} */
+    const matchedDecisions = new Set();
+    if (dllBuffers && (Array.isArray(dllBuffers) ? dllBuffers.length > 0 : dllBuffers.dlls.length > 0)) {
+        methodChanges = refineDefinitionsWithDlls(definitions, dllBuffers, diagnostics, options, ambiguities, matchedDecisions);
     }
 
-    // 3. Sort and Generate
+    // 3. Manual corrections from patch files
+    /** @type {Array<PatchResult>} */
+    const patchResults = [];
+    (options.patches || []).forEach((patch, index) => {
+        for (const result of applyPatch(definitions, patch, diagnostics)) patchResults.push(Object.assign(result, { patch: index }));
+    });
+
+    // 4. Stub (or replace with any) types that are referenced but never declared
+    const profile = /** @type {Record<string, {externalTypes: Array<string>}>} */ (OUTPUT_PROFILES)[(options.output && options.output.profile) || "default"];
+    const resolved = resolveTypeReferences(definitions, {
+        mode: options.unresolvedTypes,
+        externalTypes: (options.externalTypes || []).concat(profile ? profile.externalTypes : []),
+    }, diagnostics);
+
+    // 5. Sort and Generate
     // Note: These functions handle final output formatting (not shown in this snippet)
-    const sorted = sort(definitions);
-    return generate(sorted);
+    const sorted = sort(resolved);
+
+    // Root objects (app, qe) come from the host's mapping, unless the caller listed them explicitly
+    const output = Object.assign({}, options.output);
+    if (!output.header && map) output.header = mapHeader(map);
+    if (!output.globals) {
+        output.globals = inferGlobalInstances(sorted, options.appId || parseHostAppId(xmlDocument), options.globalInstances);
+    }
+
+    reportProgress({ stage: 'generating', done: 0, total: 1 });
+    const dts = generate(sorted, output);
+    const summary = summarizeDefinitions(sorted);
+    for (const result of patchResults) {
+        if (result.status === "stale") summary.warnings.push(`Stale patch entry ${result.key}: ${result.notes.join("; ")}`);
+    }
+    /** @type {ConversionResult} */
+    const result = {
+        dts,
+        definitions: sorted,
+        summary,
+        diagnostics,
+        map,
+        patchResults,
+        methodChanges,
+        matchedDecisions: Array.from(matchedDecisions),
+        ambiguities,
+    };
+
+    // 6. Optionally check the output with the TypeScript compiler
+    if (options.typescript) {
+        reportProgress({ stage: 'validating', done: 0, total: 1 });
+        result.validation = validateDts(dts, options.typescript);
+    }
+    return result;
 }
 
 // Configuration Constants
 /** Prefix used for placeholder parameter names when XML name is invalid (e.g., uArg1, uArg2) */
 const UNNAMED_ARG_PREFIX = "uArg";
 
+/** Identifier and version of the JSON AST export format (see exportDefinitionsJson and ast.schema.json) */
+const AST_SCHEMA_NAME = "extendscript-dom-ast";
+const AST_SCHEMA_VERSION = 1;
+
+/**
+ * Factors of the confidence score of binary fixes (see scoreBinaryMethodInfo). They are multiplied, so 1 is neutral.
+ */
+const CONFIDENCE_FACTORS = {
+    // Where a parameter description was found
+    vicinity: 0.9,
+    classCache: 0.7,
+    globalCache: 0.5,
+    // Several occurrences of the method name fit its class equally well: minus this per extra one, down to minUniqueness
+    perExtraOccurrence: 0.15,
+    minUniqueness: 0.5,
+    // Another DLL containing the method gives the same (or a different) value
+    dllsAgree: 1.15,
+    dllsDisagree: 0.7,
+    // Description does not start with a capital letter or is a single word
+    irregularDescription: 0.8,
+};
+
+/** How many strings either side of a method name are searched for the name of its class (see pickMethodOccurrence) */
+const CLASS_CONTEXT_WINDOW = 300;
+
+/** Identifier and version of stored DLL indexes (see serializeIndexedDll). Bump the version when indexing changes, to ignore old caches. */
+const DLL_INDEX_SCHEMA_NAME = "extendscript-dll-index";
+const DLL_INDEX_SCHEMA_VERSION = 1;
+
+/** Identifier and version of exported fix review decisions (see exportFixDecisions) */
+const FIX_DECISIONS_SCHEMA_NAME = "extendscript-fix-decisions";
+const FIX_DECISIONS_SCHEMA_VERSION = 1;
+
+/**
+ * Output layouts supported by generate(). Selected with GenerateOptions.profile.
+ * - default: top-level `declare class/interface` blocks, no external references.
+ * - types-for-adobe: the community types-for-adobe layout. Links the shared ExtendScript base types
+ *   (File, Folder, $) with /// <reference> and declares everything as a class, like the rest of that package.
+ * `externalTypes` are type names declared by those references (see resolveTypeReferences).
+ */
+const OUTPUT_PROFILES = {
+    "default": { references: [], classesOnly: false, globalKeyword: "var", externalTypes: [] },
+    "types-for-adobe": {
+        references: ["../../shared/global.d.ts"],
+        classesOnly: true,
+        globalKeyword: "const",
+        // Declared by the shared ExtendScript types, so never stubbed
+        externalTypes: ["File", "Folder", "XML", "XMLList", "Socket", "UnitValue", "Window"],
+    },
+};
+
+/** Mach-O magic numbers and load commands (see <mach-o/loader.h> and <mach-o/fat.h>) */
+const MH_MAGIC = 0xFEEDFACE;
+const MH_MAGIC_64 = 0xFEEDFACF;
+const FAT_MAGIC = 0xCAFEBABE;
+const FAT_MAGIC_64 = 0xCAFEBABF;
+const LC_SEGMENT = 0x1;
+const LC_SEGMENT_64 = 0x19;
+
+/** Mach-O sections holding the C strings and constant data the recovery needs (in __TEXT, __DATA or __DATA_CONST) */
+const MACHO_STRING_SECTIONS = ["__cstring", "__const"];
+
+/** PE sections holding the read-only and initialized data strings (code, resources and relocations are skipped) */
+const PE_STRING_SECTIONS = [".rdata", ".data"];
+
+/**
+ * Type names that need no declaration: TypeScript keywords and the ES5 globals from lib.es5.d.ts.
+ * Anything else a member or parameter refers to must be declared in the object model (see resolveTypeReferences).
+ */
+const BUILTIN_TYPE_NAMES = new Set([
+    "any", "unknown", "never", "void", "undefined", "null", "string", "number", "boolean", "object", "symbol", "true", "false",
+    "Object", "Function", "Array", "String", "Number", "Boolean", "Date", "RegExp", "Error", "Math", "JSON",
+]);
+
+/**
+ * What resolveTypeReferences does with type names that are not declared anywhere:
+ * - stub: declare an empty interface of that name, so the reference type-checks and keeps its meaning for readers.
+ * - any: replace the reference with `any`.
+ */
+const UNRESOLVED_TYPE_MODES = ["stub", "any"];
+
+/**
+ * Built-in mapping of Adobe's type names to TypeScript (see parseTypeFixTypeName), checked in order after any user rules.
+ * A rule matches the whole cleaned-up name (`name`) or a regular expression (`pattern`, optional `flags`), and sets:
+ * - to: the new name. "$1".."$9" insert the pattern's capture groups.
+ * - isArray: sets the array flag (left as is when omitted).
+ * - recurse: maps the new name again (e.g. "Array of Swatches" -> "Swatche" -> "Swatch").
+ */
+const TYPE_NAME_RULES = [
+    // Adobe-specific type strings to TypeScript primitives
+    { name: "varies=any", to: "any" },
+    { name: "Any", to: "any" },
+    { name: "Undefined", to: "undefined" },
+    { name: "Object", to: "object" },
+    { name: "String", to: "string" },
+    { name: "Boolean", to: "boolean" },
+    { name: "bool", to: "boolean" },
+    // Various integer/number formats
+    { name: "Number", to: "number" },
+    { name: "int", to: "number" },
+    { name: "Int32", to: "number" },
+    { name: "uint", to: "number" },
+
+    // "Unit" and "Real" types, often with range definitions in the string (e.g., "Unit (0.0 - 100.0)")
+    { pattern: "^(Unit|Real)\\s*(\\([\\d.]+ - [\\d.]+( points)?\\))?$", to: "number" },
+
+    // Fixed-length arrays defined as strings
+    { name: "Array of 4 Units (0 - 8640 points)", to: "[number, number, number, number]", isArray: false },
+    { name: "Array of Reals", to: "number", isArray: true },
+    { pattern: "Arrays? of 2 Reals", to: "[number, number]" },
+    { pattern: "Arrays? of 3 Reals", to: "[number, number, number]" },
+    { pattern: "Arrays? of 6 Reals", to: "[number, number, number, number, number, number]" },
+    { pattern: "Arrays? of 2 Units", to: "[number | string, number | string]" },
+    { pattern: "Arrays? of 2 Strings", to: "[string, string]" },
+
+    // Legacy integer types
+    { pattern: "(Short|Long) Integers?", to: "number" },
+
+    // "Array of X" patterns
+    { pattern: "^Array of (\\S+?)s?$", to: "$1", isArray: true, recurse: true },
+
+    // Known typos in Adobe's XML
+    { name: "Swatche", to: "Swatch" },
+    { name: "JavaScript Function", to: "Function" },
+];
+
+/** Limit for rules with `recurse`, so a user rule that maps a name to itself cannot loop forever. */
+const TYPE_NAME_RULE_MAX_DEPTH = 8;
+
+/**
+ * Known hosts, keyed by the app id used in ExtendScript Toolkit file names (omv$<appId>-...).
+ * `title` matches the <map title="..."> at the top of each dump, for when the file name isn't available.
+ * `globals` are the root objects scripts use without declaring them.
+ */
+const HOST_APPS = {
+    premierepro: {
+        title: /Premiere Pro/i,
+        globals: [{ name: "app", type: "Application" }, { name: "qe", type: "QEApplication" }],
+    },
+    ame: {
+        title: /Media Encoder/i,
+        globals: [{ name: "app", type: "Application" }],
+    },
+};
+
+/** Log levels in increasing verbosity. A message is shown if its level is <= the logger's level */
+const LOG_LEVELS = { silent: 0, info: 1, debug: 2 };
+
+/** Log categories the pipeline writes to. Used to filter output (e.g., only 'comma-split') */
+const LOG_CATEGORIES = ['parse', 'cache', 'comma-split'];
+
+/**
+ * Logger used by all pipeline functions. Replaced for the duration of a conversion by options.logger.
+ * @type {Logger}
+ */
+let log = createLogger();
+
+/** Type name rules used by parseTypeFixTypeName. Swapped per conversion when the caller passes extra rules. */
+let typeNameRules = compileTypeNameRules(TYPE_NAME_RULES);
+
+/**
+ * Progress callback used by all pipeline stages. Replaced for the duration of a conversion by options.onProgress.
+ * @type {(progress: ConversionProgress) => void}
+ */
+let reportProgress = () => {};
+
 // #region Typedefs
 /**
  * @typedef {Object} StringIndexEntry
  * @property {string} text - The extracted string
  * @property {number} startIndex - Byte position in buffer
  * @property {number} stringIndex - Index in allStrings array
+ * @property {string} section - Name of the section it was found in (e.g. ".rdata", "__TEXT,__cstring", or "raw")
+ * @property {number} rva - Address of the string once loaded (PE RVA, Mach-O VM address; the byte position for raw buffers)
+ * @property {'utf-8'|'utf-16le'} encoding - How the string is stored in the binary
+ */
+
+/**
+ * The strings of one binary, indexed for method lookups (see indexDll).
+ * @typedef {Object} IndexedDll
+ * @property {string} name - File name of the binary
+ * @property {string} format - Detected format (see findStringSections)
+ * @property {Map<string, Array<StringIndexEntry>>} stringMap - Occurrences of each string
+ * @property {Array<StringIndexEntry>} allStrings - All strings in file order
+ * @property {Map<string, string>} globalParamCache - "name: description" parameter strings of the whole binary
+ */
+
+/**
+ * All binaries of a conversion, indexed once (see indexDlls) and shared by every XML of a batch.
+ * @typedef {Object} DllIndex
+ * @property {Array<IndexedDll>} dlls
+ * @property {Map<string, string>} masterParamCache - Parameter descriptions of all binaries, first one wins
+ */
+
+/**
+ * An IndexedDll as plain data, for caching (see serializeIndexedDll).
+ * @typedef {Object} SerializedDllIndex
+ * @property {string} schema - DLL_INDEX_SCHEMA_NAME
+ * @property {number} schemaVersion - DLL_INDEX_SCHEMA_VERSION
+ * @property {string} format
+ * @property {Array<[string, number, string, number, 'utf-8'|'utf-16le']>} strings - [text, startIndex, section, rva, encoding] per string, in file order
+ */
+
+/**
+ * A byte range of a binary that holds strings (see findStringSections).
+ * @typedef {Object} BinarySection
+ * @property {string} name - Section name, e.g. ".rdata" or "__TEXT,__cstring" (or "raw" for the whole buffer)
+ * @property {number} start - File offset of the first byte
+ * @property {number} end - File offset after the last byte
+ * @property {number} address - Load address of the first byte (PE RVA, Mach-O VM address; 0 for raw)
+ */
+
+/**
+ * Manual overrides for one object model, keyed by "Class.member" (the member is after the last dot).
+ * Stored as JSON or YAML next to the XML archive, so corrections are reapplied to every new version.
+ * @typedef {Object<string, PatchEntry>} Patch
+ */
+
+/**
+ * Changes to one member. "add" and "remove" stand alone; the other fields can be combined.
+ * @typedef {Object} PatchEntry
+ * @property {boolean} [static] - Target the static member of that name
+ * @property {boolean} [remove] - Drop the member
+ * @property {PatchMember} [add] - Add the member (skipped if it already exists)
+ * @property {string} [type] - New return/property type, TypeScript syntax (e.g., "string | Track[]")
+ * @property {string|Array<string>} [desc] - New description
+ * @property {boolean} [readonly]
+ * @property {Object<string, PatchParam>} [params] - Parameter changes keyed by 0-based index. The next free index adds a parameter.
+ */
+
+/**
+ * @typedef {Object} PatchParam
+ * @property {string} [from] - Name the parameter had when the patch was written. If the parameter at that index
+ *   is now called something else (e.g. the host inserted a parameter before it), the change is stale instead of applied.
+ * @property {string} [name]
+ * @property {string} [type] - TypeScript syntax
+ * @property {boolean} [optional]
+ * @property {string|Array<string>} [desc]
+ */
+
+/**
+ * Outcome of one patch entry against the current XML, so fixes carried forward from older versions can be reviewed.
+ * @typedef {Object} PatchResult
+ * @property {string} key - The entry's "Class.member" key
+ * @property {string} status - 'applied' (changed the AST), 'already-satisfied' (the XML already has every change)
+ *   or 'stale' (the class, member or a parameter it targets no longer exists; other parts may still have applied)
+ * @property {number} changes - Number of changes made
+ * @property {Array<string>} notes - Why parts were skipped or stale
+ * @property {number} [patch] - Index of the patch in ConversionOptions.patches
+ */
+
+/**
+ * A member added by a patch.
+ * @typedef {Object} PatchMember
+ * @property {string} kind - 'method' or 'property'
+ * @property {boolean} [readonly]
+ * @property {string} [type] - Return/property type. Default: void for methods, any for properties.
+ * @property {string|Array<string>} [desc]
+ * @property {Array<PatchParam>} [params]
+ */
+
+/**
+ * One entry of the type name mapping table (see TYPE_NAME_RULES).
+ * @typedef {Object} TypeNameRule
+ * @property {string} [name] - Exact type name to match
+ * @property {string} [pattern] - Regular expression to match instead of `name`
+ * @property {string} [flags] - Flags for `pattern` (e.g., "i")
+ * @property {string} to - Replacement name; "$1".."$9" insert capture groups of `pattern`
+ * @property {boolean} [isArray] - Sets the array flag
+ * @property {boolean} [recurse] - Map the new name again
+ */
+
+/**
+ * @typedef {Object} CompiledTypeNameRule
+ * @property {TypeNameRule} rule
+ * @property {RegExp} [regex] - Compiled `pattern`
  */
 
 /**
@@ -62,6 +434,8 @@ const UNNAMED_ARG_PREFIX = "uArg";
  * @property {Array<string>} desc - Description lines
  * @property {Array<Parameter>} params - Method parameters (for methods)
  * @property {Array<TypeInfo>} types - Return/property type information
+ * @property {string} [since] - First host version that has this member (set by multi-version merge)
+ * @property {string} [removedIn] - First host version that no longer has this member (set by multi-version merge)
  * @property {boolean} [_needsFullBinaryRecovery] - Internal flag for DLL recovery
  * @property {boolean} [_hasParamsToEnrich] - Internal flag for param enrichment
  */
@@ -73,6 +447,10 @@ const UNNAMED_ARG_PREFIX = "uArg";
  * @property {Array<string>} desc - Description lines
  * @property {string} [extend] - Parent class name (if extends)
  * @property {Array<Property>} props - Properties and methods
+ * @property {string} [since] - First host version that has this definition (set by multi-version merge)
+ * @property {string} [removedIn] - First host version that no longer has this definition (set by multi-version merge)
+ * @property {boolean} [_stub] - Internal flag: declared by resolveTypeReferences for a type the XML only references.
+ *   Only the .d.ts needs it; diffs, merges, docs and summaries skip it.
  */
 
 /**
@@ -80,6 +458,7 @@ const UNNAMED_ARG_PREFIX = "uArg";
  * @property {string} name - Parameter name extracted from binary
  * @property {string} desc - Parameter description extracted from binary
  * @property {number} position - Position index: >=0 for immediate vicinity, -1 for class cache, -2 for global cache
+ * @property {number} [confidence] - 0-1, set by scoreBinaryMethodInfo
  */
 
 /**
@@ -89,68 +468,566 @@ const UNNAMED_ARG_PREFIX = "uArg";
  * @property {string|null} methodDesc - Method description found in binary.
  * @property {number} binaryParamCount - Number of real parameters found in binary.
  * @property {boolean} hasCommaSplitCorruption - True if XML params appear to be corrupted by comma splits.
+ * @property {number} [methodDescConfidence] - 0-1, set by scoreBinaryMethodInfo
+ */
+
+/**
+ * Options accepted by convertXmlDom / convertXmlDomToDts.
+ * @typedef {Object} ConversionOptions
+ * @property {Logger} [logger] - Where pipeline messages go (see createLogger). Defaults to info level on the console.
+ * @property {GenerateOptions} [output] - Output layout options passed to generate().
+ * @property {string} [appId] - Host app id (e.g., "premierepro"). Detected from the <map> title when omitted.
+ * @property {Object<string, Array<GlobalInstance>>} [globalInstances] - Per-app global instance mapping, merged over the HOST_APPS defaults.
+ * @property {Array<TypeNameRule>|{rules: Array<TypeNameRule>}} [typeNameRules] - Extra type name rules, checked before TYPE_NAME_RULES.
+ * @property {Array<Patch>} [patches] - Manual overrides, applied in order after DLL recovery (see applyPatch).
+ * @property {string} [unresolvedTypes] - 'stub' (default) or 'any': how to handle type names that are never declared (see UNRESOLVED_TYPE_MODES).
+ * @property {Array<string>} [externalTypes] - Type names declared elsewhere (e.g. by a /// <reference>), added to the output profile's list.
+ * @property {any} [typescript] - The TypeScript module. When given, the output is compiled in memory and errors are returned as `validation` (see validateDts).
+ * @property {(progress: ConversionProgress) => void} [onProgress] - Called as each DLL is indexed and each definition is parsed and refined.
+ * @property {number} [minConfidence] - Binary fixes scoring below this (0-1, see scoreBinaryMethodInfo) are reported with `applied: false` but not made. Default: 0 (make all).
+ * @property {FixDecisions} [fixDecisions] - Accept/reject decisions from an earlier review (see exportFixDecisions). They override minConfidence for the fixes they list.
+ */
+
+/**
+ * Progress of a running conversion, for progress bars (see ConversionOptions.onProgress).
+ * @typedef {Object} ConversionProgress
+ * @property {'indexing'|'parsing'|'refining'|'generating'|'validating'} stage - Pipeline stage, in this order (indexing and refining only with DLLs)
+ * @property {number} done - Items of the stage finished so far
+ * @property {number} total - Items in the stage (DLLs to index, definitions to parse or refine; 1 for the rest)
+ * @property {string} [item] - Name of the item being worked on (DLL file name or definition name)
+ */
+
+/**
+ * A structured-cloneable copy of an XML element (see serializeXmlElement), e.g. to send a parsed file to a Web Worker,
+ * where there is no DOMParser.
+ * @typedef {Object} XmlTree
+ * @property {string} name - Element name
+ * @property {Object<string, string>} attributes
+ * @property {Array<XmlTree|string>} nodes - Child elements and text, in document order
+ */
+
+/**
+ * A global instance declaration, e.g. `declare const app: Application`.
+ * @typedef {Object} GlobalInstance
+ * @property {string} name - Variable name (e.g., "app")
+ * @property {string} type - Type name (e.g., "Application")
+ */
+
+/**
+ * @typedef {Object} GenerateOptions
+ * @property {string} [profile] - Key of OUTPUT_PROFILES ('default' or 'types-for-adobe'). Default: 'default'.
+ * @property {Array<string>} [references] - /// <reference path> entries. Overrides the profile's defaults.
+ * @property {Array<string>} [header] - Lines of a comment placed at the top of the file (e.g., the object model title).
+ * @property {Array<GlobalInstance>} [globals] - Global instances to declare. Default: inferred from Application-style classes (see inferGlobalInstances).
+ */
+
+/**
+ * @typedef {Object} LoggerOptions
+ * @property {string} [level] - 'silent', 'info' (default) or 'debug'
+ * @property {Array<string>} [categories] - Only log these categories (see LOG_CATEGORIES). Default: all.
+ * @property {(level: string, category: string, message: string) => void} [sink] - Output function. Default: console.log.
+ */
+
+/**
+ * @typedef {Object} Logger
+ * @property {(level: string, category: string) => boolean} isEnabled - Whether a message would be written
+ * @property {(category: string, message: string) => void} info - Summary-level messages
+ * @property {(category: string, message: string) => void} debug - Per-item messages (can be very verbose)
+ */
+
+/**
+ * A single repair applied while parsing the XML or recovering data from binaries.
+ * @typedef {Object} Diagnostic
+ * @property {string} className - Owning class/interface/enum
+ * @property {string} member - Property/method name ("" for class-level fixes)
+ * @property {string} [parameter] - Parameter name at the time of the fix (for parameter fixes)
+ * @property {number} [parameterIndex] - Position of that parameter in the XML (binary parameter fixes)
+ * @property {string} kind - Kind of fix, e.g. 'malformed-type', 'comma-split-removal', 'param-renamed'
+ * @property {string} source - 'xml' (XML heuristic), 'binary' (immediate binary vicinity), 'global-cache' (DLL-wide parameter cache) or 'patch' (manual override)
+ * @property {string|null} before - Value before the fix (null if there was none)
+ * @property {string|null} after - Value after the fix (null if the item was removed)
+ * @property {string} [note] - Extra detail, like the reason a parameter was removed
+ * @property {string} [dll] - Binary the data was recovered from
+ * @property {number} [confidence] - 0-1 score of binary fixes (see scoreBinaryMethodInfo)
+ * @property {boolean} [applied] - False when the fix scored below ConversionOptions.minConfidence (or was rejected) and was only reported
+ * @property {'accepted'|'rejected'} [decision] - Set when a ConversionOptions.fixDecisions entry decided the fix instead of its confidence
+ */
+
+/**
+ * Where a fix happens. Passed down through the parse/refine functions so they can report repairs.
+ * @typedef {Object} DiagnosticScope
+ * @property {Array<Diagnostic>} diagnostics - List receiving the entries
+ * @property {string} className
+ * @property {string} [member]
+ * @property {string} [parameter]
+ * @property {number} [parameterIndex]
+ * @property {string} [dll]
+ * @property {number} [confidence] - Copied to the entries (binary fixes)
+ * @property {boolean} [applied] - Copied to the entries when false
+ * @property {'accepted'|'rejected'} [decision] - Copied to the entries
+ */
+
+/**
+ * Counts and leftover problems of a converted AST, for reports.
+ * @typedef {Object} ConversionSummary
+ * @property {number} classCount - Number of class and interface definitions.
+ * @property {number} enumCount - Number of enum definitions.
+ * @property {number} methodCount - Number of methods across all definitions (constructors included).
+ * @property {Array<string>} warnings - Human-readable issues that survived recovery.
+ */
+
+/**
+ * @typedef {Object} ConversionResult
+ * @property {string} dts - The generated TypeScript definition (.d.ts) content.
+ * @property {Array<Definition>} definitions - The sorted and refined AST the output was generated from.
+ * @property {ConversionSummary} summary - Counts and warnings for the AST.
+ * @property {Array<Diagnostic>} diagnostics - Every repair applied to the XML data, in the order applied.
+ * @property {MapInfo|null} map - Title, version and navigation tree from the XML <map>, if present.
+ * @property {Array<PatchResult>} patchResults - Outcome of every patch entry (empty without options.patches).
+ * @property {Array<ValidationIssue>} [validation] - TypeScript errors in the output (only when options.typescript was given).
+ * @property {Array<MethodChange>} methodChanges - Every method the binaries changed or had fixes for (empty without DLLs), for reviewing the fixes.
+ * @property {Array<number>} matchedDecisions - Positions in options.fixDecisions.decisions of the decisions that matched a fix of this conversion.
+ *   A decision no file of a batch matched is stale (e.g. the XML or binary changed), and its fix fell back to minConfidence.
+ * @property {Array<Diagnostic>} ambiguities - 'ambiguous-binary-match' notes: methods whose name occurs several times in a binary with no occurrence fitting the class best. Not repairs, so kept out of diagnostics.
+ */
+
+/**
+ * A method as it was before and after the binary fixes (see refineDefinitionsWithDlls).
+ * @typedef {Object} MethodChange
+ * @property {string} className
+ * @property {string} member - Method name
+ * @property {string} dll - Binary the fixes came from
+ * @property {string} before - JSDoc and signature from the XML alone (see generateMethodPreview)
+ * @property {string} after - The same with the applied fixes
+ * @property {Array<Diagnostic>} fixes - The method's binary fixes, applied or not
+ */
+
+/**
+ * Whether to make one binary fix, as recorded by a review. Identified by the fix's class, member, kind,
+ * XML parameter position and new value (see fixDecisionKey), which do not depend on the other fixes of the method,
+ * so it still matches when rejecting a fix changes the parameter names on the next run.
+ * @typedef {Object} FixDecision
+ * @property {string} className
+ * @property {string} member
+ * @property {string} kind
+ * @property {number} [parameterIndex] - Position of the parameter in the XML (parameter fixes)
+ * @property {string} [parameter] - Parameter name at the time of the fix, for reading only
+ * @property {string|null} before - For reading only
+ * @property {string|null} after
+ * @property {boolean} accept
+ */
+
+/**
+ * Exported review decisions (see exportFixDecisions and ConversionOptions.fixDecisions).
+ * @typedef {Object} FixDecisions
+ * @property {string} schema - Always FIX_DECISIONS_SCHEMA_NAME
+ * @property {number} schemaVersion - FIX_DECISIONS_SCHEMA_VERSION
+ * @property {Array<FixDecision>} decisions
+ */
+
+/**
+ * A TypeScript compiler error in generated .d.ts text, mapped back to the definition it comes from.
+ * @typedef {Object} ValidationIssue
+ * @property {number} code - TypeScript diagnostic code (e.g., 2300 for "Duplicate identifier")
+ * @property {string} message
+ * @property {number} line - 1-based line in the .d.ts (0 if the error has no position in it)
+ * @property {number} column - 1-based column
+ * @property {string} className - Class/interface/enum at that line ("" outside of one)
+ * @property {string} member - Member at that line ("" for class-level lines)
+ */
+
+/**
+ * One node of the <topicref> navigation tree.
+ * @typedef {Object} TocEntry
+ * @property {string} title - The topicref navtitle
+ * @property {string} [href] - Original link (e.g., "#/Application")
+ * @property {string} [definition] - Name of the parsed definition the link points to, if it exists
+ * @property {Array<TocEntry>} children
+ */
+
+/**
+ * The <map> header of a dump: what the object model is and how the Toolkit groups its classes.
+ * @typedef {Object} MapInfo
+ * @property {string} title - e.g., "Adobe Premiere Pro (25.6.3) Object Model"
+ * @property {string} version - The map name, which is the host version (e.g., "25.6.3")
+ * @property {Array<TocEntry>} toc - The topicref tree
+ */
+
+/**
+ * A single detected change on a member between two versions.
+ * @typedef {Object} MemberChange
+ * @property {string} kind - 'params', 'type' or 'readonly'
+ * @property {string} from - Old value, rendered as TypeScript text
+ * @property {string} to - New value, rendered as TypeScript text
+ */
+
+/**
+ * @typedef {Object} MemberDiff
+ * @property {string} name - Member name (prefixed with "static " for static members)
+ * @property {Array<MemberChange>} changes
+ */
+
+/**
+ * @typedef {Object} ClassDiff
+ * @property {string} name - Class name in the newer version
+ * @property {string} [renamedFrom] - Class name in the older version, if the class was renamed
+ * @property {{from: string, to: string}} [kindChange] - Definition type change (e.g., interface -> class)
+ * @property {{from: string, to: string}} [extendChange] - Superclass change ("" when none)
+ * @property {Array<string>} addedProps
+ * @property {Array<string>} removedProps
+ * @property {Array<MemberDiff>} changedProps
+ */
+
+/**
+ * API differences between two parsed versions of the same object model.
+ * @typedef {Object} DiffReport
+ * @property {string} from - Label of the older version (e.g., "25.5.0")
+ * @property {string} to - Label of the newer version
+ * @property {Array<string>} addedClasses
+ * @property {Array<string>} removedClasses
+ * @property {Array<{from: string, to: string, similarity: number}>} renamedClasses
+ * @property {Array<ClassDiff>} changedClasses - Only classes with at least one change
+ */
+
+/**
+ * One parsed version of an object model, as input for the multi-version merge.
+ * @typedef {Object} VersionedDefinitions
+ * @property {string} version - Host version, e.g. "25.6.3"
+ * @property {Array<Definition>} definitions - The refined AST of that version
+ */
+
+/**
+ * Serialized AST, as written by exportDefinitionsJson. Internal "_" flags of every node are moved
+ * into a "meta" object on that node (e.g. Parameter._malformed -> meta.malformed).
+ * @typedef {Object} AstDocument
+ * @property {string} schema - Always AST_SCHEMA_NAME
+ * @property {number} schemaVersion - Format version (AST_SCHEMA_VERSION at time of writing)
+ * @property {Object<string, string>} [source] - Free-form origin info (e.g. file name, host version)
+ * @property {MapInfo} [map] - The XML's <map>, so a regenerated .d.ts keeps its header comment (see mapHeader)
+ * @property {Array<Object>} definitions - Definitions with their props, params and types
+ */
+
+/**
+ * Identity of an ExtendScript Toolkit dump, parsed from its file name.
+ * @typedef {Object} XmlFileInfo
+ * @property {string} appId - Host identifier, e.g. "premierepro" or "ame".
+ * @property {string} domVersion - Object model version, e.g. "25.0".
+ * @property {string} version - Full host version, e.g. "25.6.3".
+ */
+
+/**
+ * A generated output file (e.g. a page of the HTML reference).
+ * @typedef {Object} GeneratedFile
+ * @property {string} path - Path relative to the output folder
+ * @property {string} content
  */
 
+/**
+ * Options of the documentation generators (HTML reference, Markdown pages).
+ * @typedef {Object} DocsOptions
+ * @property {string} [title] - Title of the index page (e.g. the <map> title). Default: "API Reference".
+ * @property {Array<string>} [description] - Paragraphs shown on the index page.
+ */
+
+// #region Diagnostics
+// ==========================================
+// DIAGNOSTICS (record of every repair)
+// ==========================================
+
+/**
+ * Records a repair in the scope's diagnostics list. No-op without a scope, so callers
+ * outside the main pipeline (and older call sites) don't have to provide one.
+ * * @param {DiagnosticScope|undefined} scope - Where the fix happened.
+ * @param {string} kind - Kind of fix.
+ * @param {string} source - 'xml', 'binary' or 'global-cache'.
+ * @param {string|null} before - Value before the fix.
+ * @param {string|null} after - Value after the fix.
+ * @param {string} [note] - Extra detail.
+ */
+function reportFix(scope, kind, source, before, after, note) {
+    if (!scope) return;
+    /** @type {Diagnostic} */
+    const entry = { className: scope.className, member: scope.member || "", kind, source, before, after };
+    if (scope.parameter !== undefined) entry.parameter = scope.parameter;
+    if (scope.parameterIndex !== undefined) entry.parameterIndex = scope.parameterIndex;
+    if (note) entry.note = note;
+    if (scope.dll) entry.dll = scope.dll;
+    if (scope.confidence !== undefined) entry.confidence = scope.confidence;
+    if (scope.applied === false) entry.applied = false;
+    if (scope.decision) entry.decision = scope.decision;
+    scope.diagnostics.push(entry);
+}
+
+/**
+ * Diagnostic source of a binary parameter match, based on where it was found.
+ * * @param {ParamMatch} match
+ * @returns {string}
+ */
+function diagnosticSourceForMatch(match) {
+    return match.position >= 0 ? 'binary' : 'global-cache';
+}
+
+// #region Logging
+// ==========================================
+// LOGGING
+// ==========================================
+
+/**
+ * Creates a logger with a level and optional category filter.
+ * The default (no options) logs info-level messages of every category to the console.
+ * * @param {LoggerOptions} [options]
+ * @returns {Logger}
+ */
+function createLogger(options = {}) {
+    const levelName = options.level || 'info';
+    if (!(levelName in LOG_LEVELS)) throw new Error(`Unknown log level "${levelName}" (expected ${Object.keys(LOG_LEVELS).join(', ')})`);
+    const maxLevel = LOG_LEVELS[/** @type {keyof typeof LOG_LEVELS} */ (levelName)];
+    const categories = options.categories && options.categories.length > 0 ? new Set(options.categories) : null;
+    const sink = options.sink || ((/** @type {string} */ level, /** @type {string} */ category, /** @type {string} */ message) => console.log(message));
+
+    /**
+     * @param {string} level
+     * @param {string} category
+     */
+    const isEnabled = (level, category) =>
+        LOG_LEVELS[/** @type {keyof typeof LOG_LEVELS} */ (level)] <= maxLevel && (!categories || categories.has(category));
+
+    return {
+        isEnabled,
+        info: (category, message) => { if (isEnabled('info', category)) sink('info', category, message); },
+        debug: (category, message) => { if (isEnabled('debug', category)) sink('debug', category, message); },
+    };
+}
+
 // #region Binary Parsing
 // ==========================================
 // BINARY DLL PARSING & RECOVERY
 // ==========================================
 
 /**
- * Pre-index all null-terminated strings in a DLL buffer.
+ * Pre-index all null-terminated strings in a DLL buffer, both UTF-8 and UTF-16LE (wide) ones.
  * Returns a Map for O(1) method name lookups and an ordered array for index-based access to preceding strings.
+ * Only the string sections found by findStringSections are scanned (the whole buffer for unknown formats),
+ * and strings never run across a section boundary. Both encodings go into the same map, keyed by the decoded text,
+ * so a lookup finds a name whichever way it is stored.
  * * PERFORMANCE NOTE: This was optimized from O(n) per method to O(1).
  * User reported the previous linear scan was too slow. This function scans the binary once
  * and builds a lookup table.
  * * @param {Uint8Array} buffer - The binary content of the DLL.
+ * @param {Array<BinarySection>} [sections] - Byte ranges to scan. Default: findStringSections(buffer).sections.
  * @returns {{stringMap: Map<string, Array<StringIndexEntry>>, allStrings: Array<StringIndexEntry>}}
  */
-function buildStringIndex(buffer) {
+function buildStringIndex(buffer, sections = findStringSections(buffer).sections) {
     const textDecoder = new TextDecoder('utf-8');
+    const wideTextDecoder = new TextDecoder('utf-16le');
     const stringMap = new Map(); // string -> [{text, startIndex, stringIndex}]
     const allStrings = []; // Array of {text, startIndex, stringIndex}
 
-    let i = 0;
-    const len = buffer.length;
+    for (const section of sections) {
+        let i = section.start;
+        const len = Math.min(section.end, buffer.length);
 
-    while (i < len) {
-        // Skip nulls to find start of string
-        while (i < len && buffer[i] === 0) i++;
-        if (i >= len) break;
+        while (i < len) {
+            // Skip nulls to find start of string
+            while (i < len && buffer[i] === 0) i++;
+            if (i >= len) break;
+
+            const startIndex = i;
+            const isWide = isUtf16LeStart(buffer, i, len);
+
+            // Find end of string (next null, or null code unit for wide strings, or end of section)
+            if (isWide) {
+                while (i + 1 < len && (buffer[i] !== 0 || buffer[i + 1] !== 0)) i += 2;
+            } else {
+                while (i < len && buffer[i] !== 0) i++;
+            }
+
+            const endIndex = Math.min(i, len);
+            if (isWide) i += 2; // Step over the null code unit, whose high byte the null skip would otherwise misalign
+
+            // Only process reasonable-length strings (skip garbage)
+            const strLen = isWide ? (endIndex - startIndex) / 2 : endIndex - startIndex;
+            if (strLen > 0 && strLen < 500) {
+                try {
+                    // Use subarray instead of slice to avoid copying large chunks of memory
+                    const text = (isWide ? wideTextDecoder : textDecoder).decode(buffer.subarray(startIndex, endIndex));
+
+                    // Only index strings that look like valid identifiers or descriptions
+                    // This filters out binary noise which reduces map size and lookup collisions
+                    if (isValidString(text)) {
+                        /** @type {StringIndexEntry} */
+                        const entry = {
+                            text,
+                            startIndex,
+                            stringIndex: allStrings.length,
+                            section: section.name,
+                            rva: section.address + (startIndex - section.start),
+                            encoding: isWide ? 'utf-16le' : 'utf-8'
+                        };
+                        allStrings.push(entry);
+
+                        if (!stringMap.has(text)) {
+                            stringMap.set(text, []);
+                        }
+                        stringMap.get(text).push(entry);
+                    }
+                } catch (e) {
+                    // Invalid UTF-8 or UTF-16, skip
+                }
+            }
+        }
+    }
 
-        const startIndex = i;
+    return { stringMap, allStrings };
+}
 
-        // Find end of string (next null or end of buffer)
-        while (i < len && buffer[i] !== 0) i++;
+/**
+ * Detects the binary format and returns the sections that hold the strings the recovery looks for.
+ * - PE (Windows .dll/.exe, 32/64-bit): the .rdata and .data sections.
+ * - Mach-O (macOS .framework binaries, 32/64-bit, either byte order): the __cstring and __const sections.
+ * - Universal (fat) Mach-O: the same sections of the first architecture only, as every slice holds the same strings.
+ * - Anything else, or a known format without any of those sections: the whole buffer, as a single "raw" section.
+ * * @param {Uint8Array} buffer
+ * @returns {{format: string, sections: Array<BinarySection>}}
+ */
+function findStringSections(buffer) {
+    const view = new DataView(buffer.buffer, buffer.byteOffset, buffer.byteLength);
+    const raw = { format: "raw", sections: [{ name: "raw", start: 0, end: buffer.length, address: 0 }] };
+    if (buffer.length < 8) return raw;
+
+    if (buffer[0] === 0x4D && buffer[1] === 0x5A) { // "MZ"
+        const sections = findPeSections(view);
+        return sections && sections.length > 0 ? { format: "pe", sections } : raw;
+    }
 
-        const endIndex = i;
+    const magic = view.getUint32(0, false);
+    if (magic === FAT_MAGIC || magic === FAT_MAGIC_64) {
+        // Fat headers are always big-endian. Java class files share FAT_MAGIC, but have a large "architecture count" there.
+        const archCount = view.getUint32(4, false);
+        const archSize = magic === FAT_MAGIC_64 ? 32 : 20;
+        if (archCount === 0 || archCount > 16 || 8 + archCount * archSize > buffer.length) return raw;
+        const offset = magic === FAT_MAGIC_64 ? Number(view.getBigUint64(16, false)) : view.getUint32(16, false);
+        const size = magic === FAT_MAGIC_64 ? Number(view.getBigUint64(24, false)) : view.getUint32(20, false);
+        const slice = findMachOSections(view, offset, Math.min(offset + size, buffer.length));
+        return slice && slice.length > 0 ? { format: `mach-o (fat, ${archCount} architectures)`, sections: slice } : raw;
+    }
 
-        // Only process reasonable-length strings (skip garbage)
-        const strLen = endIndex - startIndex;
-        if (strLen > 0 && strLen < 500) {
-            try {
-                // Use subarray instead of slice to avoid copying large chunks of memory
-                const text = textDecoder.decode(buffer.subarray(startIndex, endIndex));
+    const sections = findMachOSections(view, 0, buffer.length);
+    return sections && sections.length > 0 ? { format: "mach-o", sections } : raw;
+}
 
-                // Only index strings that look like valid identifiers or descriptions
-                // This filters out binary noise which reduces map size and lookup collisions
-                if (isValidString(text)) {
-                    /** @type {StringIndexEntry} */
-                    const entry = { text, startIndex, stringIndex: allStrings.length };
-                    allStrings.push(entry);
+/**
+ * Reads the PE section table and returns its .rdata and .data sections.
+ * * @param {DataView} view - The whole file
+ * @returns {Array<BinarySection>|null} - Null if the DOS header does not point to a PE header
+ */
+function findPeSections(view) {
+    if (view.byteLength < 0x40) return null;
+    const peOffset = view.getUint32(0x3C, true);
+    if (peOffset + 24 > view.byteLength || view.getUint32(peOffset, true) !== 0x00004550) return null; // "PE\0\0"
+
+    // COFF file header follows the signature; the section table follows the optional header
+    const sectionCount = view.getUint16(peOffset + 6, true);
+    const optionalHeaderSize = view.getUint16(peOffset + 20, true);
+    let sectionOffset = peOffset + 24 + optionalHeaderSize;
+    /** @type {Array<BinarySection>} */
+    const sections = [];
+
+    for (let s = 0; s < sectionCount && sectionOffset + 40 <= view.byteLength; s++) {
+        const name = binaryHeaderName(view, sectionOffset, 8);
+        const virtualAddress = view.getUint32(sectionOffset + 12, true);
+        const rawSize = view.getUint32(sectionOffset + 16, true);
+        const rawOffset = view.getUint32(sectionOffset + 20, true);
+        // Uninitialized sections have no bytes in the file
+        if (PE_STRING_SECTIONS.includes(name) && rawOffset > 0 && rawSize > 0) {
+            sections.push({ name, start: rawOffset, end: Math.min(rawOffset + rawSize, view.byteLength), address: virtualAddress });
+        }
+        sectionOffset += 40;
+    }
+    return sections.sort((a, b) => a.start - b.start);
+}
 
-                    if (!stringMap.has(text)) {
-                        stringMap.set(text, []);
-                    }
-                    stringMap.get(text).push(entry);
+/**
+ * Reads the load commands of a single Mach-O image and returns its __cstring and __const sections.
+ * * @param {DataView} view - The whole file
+ * @param {number} base - File offset of the image (non-zero inside fat binaries)
+ * @param {number} limit - End of the image in the file
+ * @returns {Array<BinarySection>|null} - Null if there is no Mach-O image at base
+ */
+function findMachOSections(view, base, limit) {
+    if (base + 32 > limit) return null;
+    const magicLE = view.getUint32(base, true);
+    const magicBE = view.getUint32(base, false);
+    const is64 = magicLE === MH_MAGIC_64 || magicBE === MH_MAGIC_64;
+    if (!is64 && magicLE !== MH_MAGIC && magicBE !== MH_MAGIC) return null;
+    const le = magicLE === MH_MAGIC || magicLE === MH_MAGIC_64;
+
+    const commandCount = view.getUint32(base + 16, le);
+    let commandOffset = base + (is64 ? 32 : 28);
+    /** @type {Array<BinarySection>} */
+    const sections = [];
+
+    for (let c = 0; c < commandCount; c++) {
+        // A truncated or corrupt header makes the caller scan the whole file instead
+        if (commandOffset + 8 > limit) return null;
+        const command = view.getUint32(commandOffset, le);
+        const commandSize = view.getUint32(commandOffset + 4, le);
+        if (commandSize < 8 || commandOffset + commandSize > limit) return null;
+
+        if (command === (is64 ? LC_SEGMENT_64 : LC_SEGMENT)) {
+            if (commandSize < (is64 ? 72 : 56)) return null;
+            const sectionCount = view.getUint32(commandOffset + (is64 ? 64 : 48), le);
+            let sectionOffset = commandOffset + (is64 ? 72 : 56);
+            for (let s = 0; s < sectionCount && sectionOffset + (is64 ? 80 : 68) <= commandOffset + commandSize; s++) {
+                const sectionName = binaryHeaderName(view, sectionOffset, 16);
+                const segmentName = binaryHeaderName(view, sectionOffset + 16, 16);
+                const size = is64 ? Number(view.getBigUint64(sectionOffset + 40, le)) : view.getUint32(sectionOffset + 36, le);
+                const fileOffset = view.getUint32(sectionOffset + (is64 ? 48 : 40), le);
+                const address = is64 ? Number(view.getBigUint64(sectionOffset + 32, le)) : view.getUint32(sectionOffset + 32, le);
+                // Zero-fill sections (offset 0) have no bytes in the file
+                if (MACHO_STRING_SECTIONS.includes(sectionName) && fileOffset > 0 && size > 0 && base + fileOffset < limit) {
+                    sections.push({ name: segmentName + "," + sectionName, start: base + fileOffset, end: Math.min(base + fileOffset + size, limit), address });
                 }
-            } catch (e) {
-                // Invalid UTF-8, skip
+                sectionOffset += is64 ? 80 : 68;
             }
         }
+        commandOffset += commandSize;
     }
+    return sections.sort((a, b) => a.start - b.start);
+}
 
-    return { stringMap, allStrings };
+/**
+ * Reads a fixed-length, null-padded segment or section name from a binary header.
+ * * @param {DataView} view
+ * @param {number} offset
+ * @param {number} length - 8 for PE, 16 for Mach-O
+ */
+function binaryHeaderName(view, offset, length) {
+    let name = "";
+    for (let i = 0; i < length; i++) {
+        const code = view.getUint8(offset + i);
+        if (code === 0) break;
+        name += String.fromCharCode(code);
+    }
+    return name;
+}
+
+/**
+ * Check whether a UTF-16LE string starts at the given position: at least three ASCII-range code units
+ * (a printable byte followed by a zero byte). Shorter runs are left to the UTF-8 scan, as single-character
+ * UTF-8 strings separated by single nulls would look the same.
+ * * @param {Uint8Array} buffer
+ * @param {number} i - Position of a non-null byte
+ * @param {number} len - End of the section
+ * @returns {boolean}
+ */
+function isUtf16LeStart(buffer, i, len) {
+    if (i + 6 > len) return false;
+    for (let k = 0; k < 6; k += 2) {
+        const low = buffer[i + k];
+        if (buffer[i + k + 1] !== 0 || low < 9 || (low > 13 && low < 32) || low >= 127) return false;
+    }
+    return true;
 }
 
 /** * Quick check if string is likely valid text (not binary garbage).
@@ -185,17 +1062,9 @@ function buildGlobalParameterCache(allStrings) {
     /** @type {Map<string, Array<string>>} */
     const duplicates = new Map(); // Track all descriptions for each param name
     
-    let debugInterpolationType = false; // Set to true to debug specific param
-    
     for (let i = 0; i < allStrings.length; i++) {
         const rawString = allStrings[i].text;
         
-        // DEBUG: Check if this string contains our target param
-        if (rawString.toLowerCase().includes('interpolationtype')) {
-            console.log(`[CACHE BUILD DEBUG] Found string with 'interpolationtype': "${rawString.substring(0, 150)}"`);
-            debugInterpolationType = true;
-        }
-        
         // Check for "paramName: description" pattern
         const colonIndex = rawString.indexOf(':');
         const textBeforeColon = colonIndex !== -1 ? rawString.substring(0, colonIndex).trim() : '';
@@ -204,11 +1073,6 @@ function buildGlobalParameterCache(allStrings) {
         const hasValidIdentifierBeforeColon = textBeforeColon.length > 0 && !textBeforeColon.includes(' ');
         const hasColonPattern = hasColonInReasonablePosition && hasValidIdentifierBeforeColon;
         
-        if (debugInterpolationType) {
-            console.log(`[CACHE BUILD DEBUG] colonIndex=${colonIndex}, textBeforeColon="${textBeforeColon}", hasColonInReasonablePosition=${hasColonInReasonablePosition}, hasValidIdentifierBeforeColon=${hasValidIdentifierBeforeColon}, hasColonPattern=${hasColonPattern}`);
-            debugInterpolationType = false;
-        }
-        
         if (hasColonPattern) {
             const paramName = textBeforeColon;
             const paramDesc = rawString.substring(colonIndex + 1).trim();
@@ -229,27 +1093,29 @@ function buildGlobalParameterCache(allStrings) {
                 // If we find a longer description, use that instead
                 const existingDesc = cache.get(paramName);
                 if (existingDesc && paramDesc.length > existingDesc.length) {
-                    console.log(`[CACHE] Found longer description for "${paramName}": ${existingDesc.length} chars -> ${paramDesc.length} chars`);
+                    log.debug('cache', `[CACHE] Found longer description for "${paramName}": ${existingDesc.length} chars -> ${paramDesc.length} chars`);
                     cache.set(paramName, paramDesc);
                 }
             }
         }
     }
     
-    // Log parameters with multiple different descriptions
-    for (const [paramName, descriptions] of duplicates.entries()) {
-        if (descriptions.length > 1) {
-            const uniqueDescs = [...new Set(descriptions)];
-            if (uniqueDescs.length > 1) {
-                console.log(`[CACHE WARNING] Parameter "${paramName}" has ${uniqueDescs.length} different descriptions in binary (keeping longest):`);
-                for (const desc of uniqueDescs) {
-                    console.log(`  - [${desc.length} chars] ${desc.substring(0, 80)}${desc.length > 80 ? '...' : ''}`);
+    // Log parameters with multiple different descriptions (skipped entirely unless cache debugging is on)
+    if (log.isEnabled('debug', 'cache')) {
+        for (const [paramName, descriptions] of duplicates.entries()) {
+            if (descriptions.length > 1) {
+                const uniqueDescs = [...new Set(descriptions)];
+                if (uniqueDescs.length > 1) {
+                    log.debug('cache', `[CACHE WARNING] Parameter "${paramName}" has ${uniqueDescs.length} different descriptions in binary (keeping longest):`);
+                    for (const desc of uniqueDescs) {
+                        log.debug('cache', `  - [${desc.length} chars] ${desc.substring(0, 80)}${desc.length > 80 ? '...' : ''}`);
+                    }
                 }
             }
         }
     }
     
-    console.log(`[CACHE BUILD] Built global cache with ${cache.size} parameter descriptions`);
+    log.info('cache', `[CACHE BUILD] Built global cache with ${cache.size} parameter descriptions`);
     return cache;
 }
 
@@ -266,24 +1132,40 @@ function buildClassParameterCache(globalCache) {
 }
 
 /**
- * Iterates through parsed definitions and enriches them using binary data.
- * This is the core "Correction" phase.
- * * @param {Array<Definition>} definitions - The AST parsed from XML.
- * @param {Array<{name: string, data: Uint8Array}>} dllBuffers - Binary DLL data.
- */
-function refineDefinitionsWithDlls(definitions, dllBuffers) {
-    // Pre-index all DLLs once (the big optimization!)
-    const indexedDlls = dllBuffers.map(dll => {
-        const stringIndex = buildStringIndex(dll.data);
-        return {
-            name: dll.name,
-            data: dll.data,
-            stringMap: stringIndex.stringMap,
-            allStrings: stringIndex.allStrings,
-            globalParamCache: buildGlobalParameterCache(stringIndex.allStrings)
-        };
-    });
-    
+ * Indexes the strings of one binary (see buildStringIndex) together with its parameter description cache.
+ * * @param {{name: string, data: Uint8Array}} dll
+ * @returns {IndexedDll}
+ */
+function indexDll(dll) {
+    const { format, sections } = findStringSections(dll.data);
+    const scannedBytes = sections.reduce((sum, section) => sum + section.end - section.start, 0);
+    log.info('cache', `[BINARY] ${dll.name}: ${format}, indexing ${sections.length} section(s), ${scannedBytes} of ${dll.data.length} bytes`);
+    const stringIndex = buildStringIndex(dll.data, sections);
+    return {
+        name: dll.name,
+        format,
+        stringMap: stringIndex.stringMap,
+        allStrings: stringIndex.allStrings,
+        globalParamCache: buildGlobalParameterCache(stringIndex.allStrings)
+    };
+}
+
+/**
+ * Combines indexed binaries into the index used by refineDefinitionsWithDlls.
+ * * @param {Array<IndexedDll>} indexedDlls - From indexDlls or restoreIndexedDll
+ * @param {ConversionOptions} [options] - Only logger is used.
+ * @returns {DllIndex}
+ */
+function createDllIndex(indexedDlls, options = {}) {
+    return withConversionState(options, () => mergeDllParamCaches(indexedDlls));
+}
+
+/**
+ * See createDllIndex.
+ * @param {Array<IndexedDll>} indexedDlls
+ * @returns {DllIndex}
+ */
+function mergeDllParamCaches(indexedDlls) {
     // Merge all DLL parameter caches into one master cache
     // Parameters can be defined in one DLL but used in methods in another DLL
     /** @type {Map<string, string>} */
@@ -296,62 +1178,306 @@ function refineDefinitionsWithDlls(definitions, dllBuffers) {
             }
         }
     }
-    console.log(`[MASTER CACHE] Merged ${indexedDlls.length} DLLs into master cache with ${masterParamCache.size} total parameter descriptions`);
-
-    for (const def of definitions) {
-        for (const prop of def.props) {
-            // Class properties seem to be unaffected so we will focus only on methods and their parameters
-            if (prop.type !== 'method') continue;
+    log.info('cache', `[MASTER CACHE] Merged ${indexedDlls.length} DLLs into master cache with ${masterParamCache.size} total parameter descriptions`);
+    return { dlls: indexedDlls, masterParamCache };
+}
 
-            // Optimization: Skip if no params and not malformed - nothing to recover
-            // EDIT: We won't skip immediately yet
-            // if (!prop._needsFullBinaryRecovery && !prop._hasParamsToEnrich) continue;
+/**
+ * Indexes binaries once, so the result can be passed to convertXmlDom for every XML of a batch
+ * instead of the buffers (which would be indexed again on every call).
+ * * @param {Array<{name: string, data: Uint8Array}>} dllBuffers
+ * @param {ConversionOptions} [options] - Only logger and onProgress are used.
+ * @returns {DllIndex}
+ */
+function indexDlls(dllBuffers, options = {}) {
+    return withConversionState(options, () => mergeDllParamCaches(dllBuffers.map((dll, index) => {
+        reportProgress({ stage: 'indexing', done: index, total: dllBuffers.length, item: dll.name });
+        return indexDll(dll);
+    })));
+}
 
-            // O(1) lookup instead of O(n) scan via the map built in buildStringIndex
+/**
+ * Converts an indexed binary to plain data for storage (a JSON cache file, IndexedDB).
+ * Only the strings are kept; the lookup map and parameter cache are rebuilt by restoreIndexedDll.
+ * * @param {IndexedDll} indexedDll
+ * @returns {SerializedDllIndex}
+ */
+function serializeIndexedDll(indexedDll) {
+    return {
+        schema: DLL_INDEX_SCHEMA_NAME,
+        schemaVersion: DLL_INDEX_SCHEMA_VERSION,
+        format: indexedDll.format,
+        strings: indexedDll.allStrings.map(entry => [entry.text, entry.startIndex, entry.section, entry.rva, entry.encoding]),
+    };
+}
+
+/**
+ * Rebuilds an indexed binary stored with serializeIndexedDll.
+ * * @param {SerializedDllIndex} data
+ * @param {string} name - File name of the binary (stored indexes are keyed by content, not name)
+ * @param {ConversionOptions} [options] - Only logger is used.
+ * @returns {IndexedDll|null} - Null if the data was written by a different version of the indexer
+ */
+function restoreIndexedDll(data, name, options = {}) {
+    return withConversionState(options, () => restoreIndexedDllStrings(data, name));
+}
+
+/**
+ * See restoreIndexedDll.
+ * @param {SerializedDllIndex} data
+ * @param {string} name
+ * @returns {IndexedDll|null}
+ */
+function restoreIndexedDllStrings(data, name) {
+    if (!data || data.schema !== DLL_INDEX_SCHEMA_NAME || data.schemaVersion !== DLL_INDEX_SCHEMA_VERSION) return null;
+    /** @type {Map<string, Array<StringIndexEntry>>} */
+    const stringMap = new Map();
+    const allStrings = data.strings.map(([text, startIndex, section, rva, encoding], stringIndex) => {
+        /** @type {StringIndexEntry} */
+        const entry = { text, startIndex, stringIndex, section, rva, encoding };
+        const occurrences = stringMap.get(text);
+        if (occurrences) occurrences.push(entry);
+        else stringMap.set(text, [entry]);
+        return entry;
+    });
+    log.info('cache', `[BINARY] ${name}: ${data.format}, ${allStrings.length} strings restored from the index cache`);
+    return { name, format: data.format, stringMap, allStrings, globalParamCache: buildGlobalParameterCache(allStrings) };
+}
+
+/**
+ * Iterates through parsed definitions and enriches them using binary data.
+ * This is the core "Correction" phase.
+ * * @param {Array<Definition>} definitions - The AST parsed from XML.
+ * @param {Array<{name: string, data: Uint8Array}>|DllIndex} dlls - Binary DLL data, or an index of it from indexDlls.
+ * @param {Array<Diagnostic>} [diagnostics] - Receives a record of every fix applied.
+ * @param {ConversionOptions} [options] - Only minConfidence and fixDecisions are used.
+ * @param {Array<Diagnostic>} [ambiguities] - Receives a note for every method whose binary occurrence was a guess (see pickMethodOccurrence).
+ * @param {Set<number>} [matchedDecisions] - Receives the positions of the options.fixDecisions entries that matched a fix.
+ * @returns {Array<MethodChange>} - Every method with binary fixes, applied or not, for reviewing them.
+ */
+function refineDefinitionsWithDlls(definitions, dlls, diagnostics = [], options = {}, ambiguities = [], matchedDecisions = new Set()) {
+    // Pre-index all DLLs once (the big optimization!), unless the caller already did for the whole batch
+    const { dlls: indexedDlls, masterParamCache } = Array.isArray(dlls) ? indexDlls(dlls) : dlls;
+    const decisions = compileFixDecisions(options.fixDecisions);
+    /** @type {Array<MethodChange>} */
+    const methodChanges = [];
+    // Class names as they may appear in the binary, to tell which class a method name string belongs to
+    const classNames = new Set(definitions.map(def => def.name));
+
+    definitions.forEach((def, index) => {
+        reportProgress({ stage: 'refining', done: index, total: definitions.length, item: def.name });
+        for (const prop of def.props) {
+            // Class properties seem to be unaffected so we will focus only on methods and their parameters
+            if (prop.type !== 'method') continue;
+
+            // Optimization: Skip if no params and not malformed - nothing to recover
+            // EDIT: We won't skip immediately yet
+            // if (!prop._needsFullBinaryRecovery && !prop._hasParamsToEnrich) continue;
+
+            // O(1) lookup instead of O(n) scan via the map built in buildStringIndex.
+            // The first DLL with the name is used; the others only confirm (or contradict) what it says.
+            const found = [];
             for (const dll of indexedDlls) {
                 const matches = dll.stringMap.get(prop.name);
                 if (!matches || matches.length === 0) continue;
 
-                // Use first match (they should be identical for our purposes)
-                const match = matches[0];
+                // Common names (getName, close, ...) occur once per class: pick the occurrence that belongs to this one
+                const maxPrecedingStrings = prop.params.length + 2; // Look back enough for params + desc
+                const choice = pickMethodOccurrence(dll, matches, { className: def.name, classNames, params: prop.params, maxPrecedingStrings });
+                found.push({ dll, choice, foundStrings: collectPrecedingStrings(dll, choice.match, maxPrecedingStrings) });
+            }
+            if (found.length === 0 || found[0].foundStrings.length === 0) continue;
+            const [primary, ...others] = found;
+
+            if (primary.choice.tied > 1) {
+                const scores = primary.choice.scores.map((score, i) => `#${i + 1}: ${score}`).join(", ");
+                log.debug('cache', `[AMBIGUOUS] ${def.name}.${prop.name}: ${primary.choice.tied} of ${primary.choice.scores.length} occurrences in ${primary.dll.name} score the same (${scores})`);
+                reportFix({ diagnostics: ambiguities, className: def.name, member: prop.name, dll: primary.dll.name }, 'ambiguous-binary-match', 'binary', null,
+                    `occurrence ${primary.choice.index + 1} of ${primary.choice.scores.length}`,
+                    `${primary.choice.tied} occurrences fit the class equally well (scores ${scores}); the first of them was used`);
+            }
 
-                // Use global parameter cache directly - no artificial radius limits
-                const classParamCache = dll.globalParamCache;
+            // STAGE 1: Extract information from binary (with master cache containing ALL DLLs)
+            /** @type {BinaryMethodInfo} */
+            const binaryInfo = extractBinaryMethodInfo(primary.foundStrings, masterParamCache, masterParamCache, prop.params);
 
-                // Get preceding strings directly from pre-indexed array.
-                // Binary layout is: [desc] [paramN] ... [param1] [methodName]
-                const foundStrings = [];
-                const maxPrecedingStrings = prop.params.length + 2; // Look back enough for params + desc
+            // STAGE 1.5: Rate how far each recovered name and description can be trusted
+            scoreBinaryMethodInfo(binaryInfo, {
+                occurrences: primary.choice.tied,
+                otherDlls: others
+                    .filter(other => other.foundStrings.length > 0)
+                    .map(other => extractBinaryMethodInfo(other.foundStrings, masterParamCache, masterParamCache, prop.params)),
+            });
+
+            // STAGE 2: Decide what needs fixing and apply
+            const before = generateMethodPreview(prop);
+            const firstFix = diagnostics.length;
+            applyBinaryFixesToMethod(prop, binaryInfo, { diagnostics, className: def.name, member: prop.name, dll: primary.dll.name },
+                { minConfidence: options.minConfidence, decisions, matchedDecisions });
+            if (diagnostics.length > firstFix) {
+                methodChanges.push({ className: def.name, member: prop.name, dll: primary.dll.name, before, after: generateMethodPreview(prop), fixes: diagnostics.slice(firstFix) });
+            }
+        }
+    });
+    return methodChanges;
+}
+
+/**
+ * Gets the strings stored right before a method name, nearest first.
+ * Binary layout is: [desc] [paramN] ... [param1] [methodName]
+ * * @param {IndexedDll} dll
+ * @param {StringIndexEntry} match - The method name's entry
+ * @param {number} maxPrecedingStrings - How far to look back
+ * @returns {Array<string>}
+ */
+function collectPrecedingStrings(dll, match, maxPrecedingStrings) {
+    const foundStrings = [];
+    for (let k = 1; k <= maxPrecedingStrings; k++) {
+        const precedingIdx = match.stringIndex - k;
+        if (precedingIdx < 0) break;
 
-                for (let k = 1; k <= maxPrecedingStrings; k++) {
-                    const precedingIdx = match.stringIndex - k;
-                    if (precedingIdx < 0) break;
+        const precedingEntry = dll.allStrings[precedingIdx];
 
-                    const precedingEntry = dll.allStrings[precedingIdx];
+        // A method's strings are emitted together, so they never span two sections
+        if (precedingEntry.section !== match.section) break;
 
-                    // Sanity check: don't look back more than 500 bytes (locality principle)
-                    if (match.startIndex - precedingEntry.startIndex > 500) break;
+        // Sanity check: don't look back more than 500 characters (locality principle)
+        const localityLimit = match.encoding === 'utf-16le' ? 1000 : 500;
+        if (match.rva - precedingEntry.rva > localityLimit) break;
 
-                    // Filter out known garbage like Adobe's internal variable markers
-                    if (!precedingEntry.text.startsWith("$$$")) {
-                        foundStrings.push(precedingEntry.text);
-                    }
-                }
+        // Filter out known garbage like Adobe's internal variable markers
+        if (!precedingEntry.text.startsWith("$$$")) {
+            foundStrings.push(precedingEntry.text);
+        }
+    }
+    return foundStrings;
+}
 
-                if (foundStrings.length > 0) {
-                    // STAGE 1: Extract information from binary (with master cache containing ALL DLLs)
-                    /** @type {BinaryMethodInfo} */
-                    const binaryInfo = extractBinaryMethodInfo(foundStrings, masterParamCache, masterParamCache, prop.params);
-                    
-                    // STAGE 2: Decide what needs fixing and apply
-                    applyBinaryFixesToMethod(prop, binaryInfo);
-                }
-                break; // Stop searching DLLs for this method once found in one
+/**
+ * Chooses which occurrence of a method name in a binary belongs to the method's class.
+ * Each occurrence is scored by:
+ * - the nearest class name string (either "Name" or "Name class") within CLASS_CONTEXT_WINDOW strings in the
+ *   same section: +2 if it is the owning class, -1 if it is another class of the object model,
+ * - +1 for each of the XML's own (non-placeholder) parameter names found as "name: description" right before it.
+ * Ties keep the earliest occurrence, which is what was used before scoring.
+ * * @param {IndexedDll} dll
+ * @param {Array<StringIndexEntry>} matches - Occurrences of the method name, in file order
+ * @param {{className: string, classNames: Set<string>, params: Array<Parameter>, maxPrecedingStrings: number}} context
+ * @returns {{match: StringIndexEntry, index: number, scores: Array<number>, tied: number}} - tied: how many occurrences share the best score
+ */
+function pickMethodOccurrence(dll, matches, context) {
+    if (matches.length === 1) return { match: matches[0], index: 0, scores: [0], tied: 1 };
+
+    const placeholderPattern = new RegExp(`^(arg|${UNNAMED_ARG_PREFIX})\\d+$`);
+    const paramNames = new Set(context.params.map(p => p.name).filter(name => !placeholderPattern.test(name)));
+
+    const scores = matches.map(match => {
+        let score = 0;
+
+        const owner = nearestClassName(dll, match, context.classNames);
+        if (owner === context.className) score += 2;
+        else if (owner) score -= 1;
+
+        // Each name counts once: the look-back can reach into the previous method's strings
+        const seenNames = new Set();
+        for (const text of collectPrecedingStrings(dll, match, context.maxPrecedingStrings)) {
+            const colonIndex = text.indexOf(':');
+            const name = colonIndex > 0 ? text.substring(0, colonIndex).trim() : '';
+            if (paramNames.has(name) && !seenNames.has(name)) {
+                seenNames.add(name);
+                score++;
             }
         }
+        return score;
+    });
+
+    const best = Math.max(...scores);
+    const index = scores.indexOf(best);
+    return { match: matches[index], index, scores, tied: scores.filter(score => score === best).length };
+}
+
+/**
+ * Finds the class name string nearest to a string, looking both ways within CLASS_CONTEXT_WINDOW strings of the same section.
+ * * @param {IndexedDll} dll
+ * @param {StringIndexEntry} entry
+ * @param {Set<string>} classNames - Names of the object model's classes
+ * @returns {string|null} - The class name, or null if none is near
+ */
+function nearestClassName(dll, entry, classNames) {
+    /** @param {string} text */
+    const classNameOf = (text) => {
+        if (classNames.has(text)) return text;
+        if (text.endsWith(" class") && classNames.has(text.slice(0, -6))) return text.slice(0, -6);
+        return null;
+    };
+    for (let distance = 1; distance <= CLASS_CONTEXT_WINDOW; distance++) {
+        let inSection = false;
+        for (const neighbourIndex of [entry.stringIndex - distance, entry.stringIndex + distance]) {
+            const neighbour = dll.allStrings[neighbourIndex];
+            if (!neighbour || neighbour.section !== entry.section) continue;
+            inSection = true;
+            const name = classNameOf(neighbour.text);
+            if (name) return name;
+        }
+        if (!inSection) break;
+    }
+    return null;
+}
+
+/**
+ * STAGE 1.5: Sets a confidence score (0-1) on every parameter match and on the method description.
+ * The score is the product of CONFIDENCE_FACTORS for:
+ * - locality: immediate vicinity of the method name, or a cache hit (ParamMatch.position -1 / -2),
+ * - uniqueness: how many occurrences of the method name in the binary fit its class equally well (see pickMethodOccurrence),
+ * - agreement: whether the other DLLs that contain the method say the same,
+ * - shape: whether the description reads like one (see looksLikeDescription).
+ * * @param {BinaryMethodInfo} binaryInfo - Modified in place.
+ * @param {{occurrences: number, otherDlls: Array<BinaryMethodInfo>}} context - occurrences: the tied best occurrences
+ */
+function scoreBinaryMethodInfo(binaryInfo, context) {
+    const uniqueness = Math.max(CONFIDENCE_FACTORS.minUniqueness, 1 - CONFIDENCE_FACTORS.perExtraOccurrence * (context.occurrences - 1));
+
+    /**
+     * @param {string} value
+     * @param {Array<string|null|undefined>} otherValues - The same item as read from the other DLLs
+     */
+    const agreement = (value, otherValues) => {
+        const known = otherValues.filter(other => other);
+        if (known.length === 0) return 1;
+        return known.every(other => other === value) ? CONFIDENCE_FACTORS.dllsAgree : CONFIDENCE_FACTORS.dllsDisagree;
+    };
+
+    /** @param {number} score */
+    const clamp = (score) => Math.round(Math.min(1, Math.max(0, score)) * 100) / 100;
+
+    for (const match of binaryInfo.paramMatches) {
+        const locality = match.position >= 0 ? CONFIDENCE_FACTORS.vicinity : match.position === -1 ? CONFIDENCE_FACTORS.classCache : CONFIDENCE_FACTORS.globalCache;
+        const otherDescs = context.otherDlls.map(other => {
+            const otherMatch = other.paramMatches.find(candidate => candidate.name === match.name);
+            return otherMatch ? otherMatch.desc : null;
+        });
+        const shape = looksLikeDescription(match.desc) ? 1 : CONFIDENCE_FACTORS.irregularDescription;
+        match.confidence = clamp(locality * uniqueness * agreement(match.desc, otherDescs) * shape);
+    }
+
+    if (binaryInfo.methodDesc) {
+        const shape = looksLikeDescription(binaryInfo.methodDesc) ? 1 : CONFIDENCE_FACTORS.irregularDescription;
+        const otherDescs = context.otherDlls.map(other => other.methodDesc);
+        binaryInfo.methodDescConfidence = clamp(CONFIDENCE_FACTORS.vicinity * uniqueness * agreement(binaryInfo.methodDesc, otherDescs) * shape);
     }
 }
 
+/**
+ * Whether a recovered description reads like documentation: starts with a capital letter (or a digit or quote)
+ * and has at least two words.
+ * @param {string} text
+ * @returns {boolean}
+ */
+function looksLikeDescription(text) {
+    const trimmed = text.trim();
+    return /^[A-Z0-9"'(]/.test(trimmed) && /\S\s+\S/.test(trimmed);
+}
+
 /**
  * STAGE 1: Extract and parse information from binary strings.
  * Does NOT modify the property object - only collects data.
@@ -459,7 +1585,7 @@ function extractBinaryMethodInfo(foundStrings, classParamCache, globalParamCache
             paramMatches.push(cacheMatch);
             matchedParamNames.add(xmlParam.name);
             
-            console.log(`[CLASS CACHE HIT] Found "${xmlParam.name}" in class cache: "${cachedDesc.substring(0, 50)}..."`);
+            log.debug('cache', `[CLASS CACHE HIT] Found "${xmlParam.name}" in class cache: "${cachedDesc.substring(0, 50)}..."`);
         }
     }
     
@@ -474,12 +1600,12 @@ function extractBinaryMethodInfo(foundStrings, classParamCache, globalParamCache
         const isPlaceholder = xmlParam.name.match(placeholderPattern);
         const isInvalidName = xmlParam.name.includes(' ') || xmlParam.name.match(/^\d/);
         if (isPlaceholder || isInvalidName) {
-            console.log(`[GLOBAL CACHE SKIP] Skipping "${xmlParam.name}" - placeholder=${!!isPlaceholder}, invalid=${!!isInvalidName}`);
+            log.debug('cache', `[GLOBAL CACHE SKIP] Skipping "${xmlParam.name}" - placeholder=${!!isPlaceholder}, invalid=${!!isInvalidName}`);
             continue;
         }
         
         // Check if this param name exists in global cache
-        console.log(`[GLOBAL CACHE CHECK] Looking for "${xmlParam.name}" in global cache (${globalParamCache.size} entries)`);
+        log.debug('cache', `[GLOBAL CACHE CHECK] Looking for "${xmlParam.name}" in global cache (${globalParamCache.size} entries)`);
         const cachedDesc = globalParamCache.get(xmlParam.name);
         if (cachedDesc) {
             /** @type {ParamMatch} */
@@ -491,9 +1617,9 @@ function extractBinaryMethodInfo(foundStrings, classParamCache, globalParamCache
             paramMatches.push(globalMatch);
             matchedParamNames.add(xmlParam.name);
             
-            console.log(`[GLOBAL CACHE HIT] Found "${xmlParam.name}" in global DLL cache: "${cachedDesc.substring(0, 80)}..."`);
+            log.debug('cache', `[GLOBAL CACHE HIT] Found "${xmlParam.name}" in global DLL cache: "${cachedDesc.substring(0, 80)}..."`);
         } else {
-            console.log(`[GLOBAL CACHE MISS] "${xmlParam.name}" not found in global cache`);
+            log.debug('cache', `[GLOBAL CACHE MISS] "${xmlParam.name}" not found in global cache`);
         }
     }
 
@@ -513,12 +1639,48 @@ function extractBinaryMethodInfo(foundStrings, classParamCache, globalParamCache
  * 2. Bare strings (no colon) are unreliable (enum values, other methods) - DO NOT use them for names.
  * 3. DO NOT add multiple method descriptions.
  * 4. DO NOT use position-based matching for non-arg# params.
+ * 5. Fixes whose confidence (see scoreBinaryMethodInfo) is below minConfidence are reported with `applied: false` and not made.
+ * 6. A reviewed decision for a fix (see compileFixDecisions) overrides its confidence.
  * * @param {Property} prop - The method definition object to modify.
  * @param {BinaryMethodInfo} binaryInfo - Extracted binary information.
+ * @param {DiagnosticScope} [scope] - Receives a record of every fix applied.
+ * @param {{minConfidence?: number, decisions?: Map<string, {accept: boolean, index: number}>, matchedDecisions?: Set<number>}} [policy] - minConfidence: 0-1, default 0 (make every fix).
+ *   decisions: from compileFixDecisions. matchedDecisions receives the index of every decision used.
  * @returns {void}
  */
-function applyBinaryFixesToMethod(prop, binaryInfo) {
+function applyBinaryFixesToMethod(prop, binaryInfo, scope, policy = {}) {
     const { paramMatches, methodDesc, binaryParamCount } = binaryInfo;
+    const { minConfidence = 0, decisions = new Map(), matchedDecisions = new Set() } = policy;
+    // Positions in the XML identify parameters for decisions, as their names change with the fixes
+    const xmlParamIndexes = new Map(prop.params.map((param, index) => [param, index]));
+
+    /**
+     * Reports a fix and tells whether to make it: a reviewed decision wins, otherwise the confidence
+     * must reach minConfidence (unscored matches count as certain).
+     * @param {Parameter|null} param - The parameter fixed, if any
+     * @param {number|undefined} confidence
+     * @param {string} kind
+     * @param {string} source
+     * @param {string|null} before
+     * @param {string|null} after
+     * @param {string} [note]
+     * @returns {boolean}
+     */
+    const decideFix = (param, confidence, kind, source, before, after, note) => {
+        const score = confidence === undefined ? 1 : confidence;
+        const parameterIndex = param ? xmlParamIndexes.get(param) : undefined;
+        const decision = scope ? decisions.get(fixDecisionKey({ className: scope.className, member: scope.member || "", kind, parameterIndex, after })) : undefined;
+        if (decision) matchedDecisions.add(decision.index);
+        const applied = decision ? decision.accept : score >= minConfidence;
+        if (scope) {
+            /** @type {DiagnosticScope} */
+            const fixScope = Object.assign({}, scope, { confidence: score, applied });
+            if (param) Object.assign(fixScope, { parameter: param.name, parameterIndex });
+            if (decision) fixScope.decision = decision.accept ? 'accepted' : 'rejected';
+            reportFix(fixScope, kind, source, before, after, note);
+        }
+        return applied;
+    };
     
     // Rule: Determine if we need full recovery based on XML malformation flags
     // (Set during XML parsing when colon-in-type or other malformations detected)
@@ -542,7 +1704,7 @@ function applyBinaryFixesToMethod(prop, binaryInfo) {
     // Check if any parameter descriptions contain commas (which could have caused splits)
     const hasCommasInDescriptions = totalCommasInBinaryDescs > 0;
     
-    console.log(`[COMMA-SPLIT ANALYSIS] ${prop.name}: Found ${binaryParamNames.size} binary params (${Array.from(binaryParamNames).join(', ')}), ${totalCommasInBinaryDescs} total commas in descriptions`);
+    log.debug('comma-split', `[COMMA-SPLIT ANALYSIS] ${prop.name}: Found ${binaryParamNames.size} binary params (${Array.from(binaryParamNames).join(', ')}), ${totalCommasInBinaryDescs} total commas in descriptions`);
     
     // TRUTH: The number of params we should remove is simply the comma count
     // This works because each comma in a binary description creates one extra bogus param in XML
@@ -555,9 +1717,9 @@ function applyBinaryFixesToMethod(prop, binaryInfo) {
     const hasCommaSplitCorruption = hasCommasInDescriptions && xmlParamCount > binaryParamCount && numParamsToRemove > 0;
     
     if (hasCommaSplitCorruption) {
-        console.log(`[COMMA-SPLIT ANALYSIS] ${prop.name}: XML has ${xmlParamCount} params, binary shows ${binaryParamCount} with colon patterns, ${totalCommasInBinaryDescs} commas detected, will remove ${numParamsToRemove} params`);
-        console.log(`[COMMA-SPLIT] Current params: ${prop.params.map(p => p.name).join(', ')}`);
-        console.log(`[COMMA-SPLIT] Binary param names: ${Array.from(binaryParamNames).join(', ')}`);
+        log.debug('comma-split', `[COMMA-SPLIT ANALYSIS] ${prop.name}: XML has ${xmlParamCount} params, binary shows ${binaryParamCount} with colon patterns, ${totalCommasInBinaryDescs} commas detected, will remove ${numParamsToRemove} params`);
+        log.debug('comma-split', `[COMMA-SPLIT] Current params: ${prop.params.map(p => p.name).join(', ')}`);
+        log.debug('comma-split', `[COMMA-SPLIT] Binary param names: ${Array.from(binaryParamNames).join(', ')}`);
         
         // SURGICAL REMOVAL STRATEGY:
         // Remove exactly the number of params that match comma-split patterns
@@ -609,22 +1771,31 @@ function applyBinaryFixesToMethod(prop, binaryInfo) {
         // TRUTH: Remove exactly the comma count - each comma created one bogus param
         const numToRemove = Math.min(numParamsToRemove, removalCandidates.length);
         
+        // The removal is only as certain as the descriptions whose commas it counts
+        const removalConfidence = Math.min(1, ...paramMatches.filter(m => m.desc && m.desc.includes(',')).map(m => m.confidence === undefined ? 1 : m.confidence));
+
         if (numToRemove > 0) {
-            const paramsToRemove = new Set(removalCandidates.slice(0, numToRemove).map(c => c.param));
-            
-            /** @type {Array<Parameter>} */
-            const paramsToKeep = prop.params.filter(p => !paramsToRemove.has(p));
-            
-            // Log removals
+            // Each removal is decided on its own, so a review can keep some of the params
+            /** @type {Set<Parameter>} */
+            const paramsToRemove = new Set();
             for (const candidate of removalCandidates.slice(0, numToRemove)) {
-                console.log(`[COMMA-SPLIT REMOVAL] ${prop.name}: Removing "${candidate.param.name}" (${candidate.reason})`);
+                if (decideFix(candidate.param, removalConfidence, 'comma-split-removal', 'binary', candidate.param.name, null, candidate.reason)) {
+                    log.info('comma-split', `[COMMA-SPLIT REMOVAL] ${prop.name}: Removing "${candidate.param.name}" (${candidate.reason})`);
+                    paramsToRemove.add(candidate.param);
+                } else {
+                    log.info('comma-split', `[COMMA-SPLIT HELD BACK] ${prop.name}: Would remove "${candidate.param.name}" (${candidate.reason}), confidence ${removalConfidence}`);
+                }
+            }
+
+            if (paramsToRemove.size > 0) {
+                /** @type {Array<Parameter>} */
+                const paramsToKeep = prop.params.filter(p => !paramsToRemove.has(p));
+                prop.params = paramsToKeep;
+                log.info('comma-split', `[COMMA-SPLIT FIX] ${prop.name}: Kept ${paramsToKeep.length} params, removed ${paramsToRemove.size} bogus params`);
+                log.debug('comma-split', `[COMMA-SPLIT] Final params: ${prop.params.map(p => p.name).join(', ')}`);
             }
-            
-            prop.params = paramsToKeep;
-            console.log(`[COMMA-SPLIT FIX] ${prop.name}: Kept ${paramsToKeep.length} params, removed ${numToRemove} bogus params`);
-            console.log(`[COMMA-SPLIT] Final params: ${prop.params.map(p => p.name).join(', ')}`);
         } else {
-            console.log(`[COMMA-SPLIT] No removal needed - found ${removalCandidates.length} candidates but numToRemove=${numToRemove}`);
+            log.debug('comma-split', `[COMMA-SPLIT] No removal needed - found ${removalCandidates.length} candidates but numToRemove=${numToRemove}`);
         }
     }
     
@@ -647,6 +1818,8 @@ function applyBinaryFixesToMethod(prop, binaryInfo) {
             const isUnmatchedPlaceholder = !matchedParams.has(candidateParam) && isPlaceholderName;
             
             if (isUnmatchedPlaceholder) {
+                // Held back: leave the placeholder (and its description) alone
+                if (!decideFix(candidateParam, match.confidence, 'param-renamed', diagnosticSourceForMatch(match), candidateParam.name, match.name)) continue;
                 targetParam = candidateParam;
                 targetParam.name = match.name; // Fix the placeholder name with binary data
             }
@@ -661,12 +1834,15 @@ function applyBinaryFixesToMethod(prop, binaryInfo) {
             const shouldUpdateDesc = match.desc && (paramHasNoDescription || shouldOverwriteInFullRecovery);
             
             if (shouldUpdateDesc) {
+                const previousDesc = targetParam.desc.join(" ");
+                // An unchanged description is not reported, so it has no decision either
+                if (previousDesc !== match.desc && !decideFix(targetParam, match.confidence, 'param-description', diagnosticSourceForMatch(match), previousDesc || null, match.desc)) continue;
                 targetParam.desc = [match.desc];
                 
                 // Rule: Mark as optional if description indicates it
                 const descIndicatesOptional = match.desc.toLowerCase().includes("optional");
-                if (descIndicatesOptional) {
-                    targetParam.optional = true;
+                if (descIndicatesOptional && !targetParam.optional) {
+                    if (decideFix(targetParam, match.confidence, 'optional-from-description', diagnosticSourceForMatch(match), "false", "true")) targetParam.optional = true;
                 }
             }
         }
@@ -678,7 +1854,7 @@ function applyBinaryFixesToMethod(prop, binaryInfo) {
     const shouldAddMethodDesc = methodDesc && methodHasNoDescription;
     
     if (shouldAddMethodDesc) {
-        prop.desc.push(methodDesc);
+        if (decideFix(null, binaryInfo.methodDescConfidence, 'method-description', 'binary', null, methodDesc)) prop.desc.push(methodDesc);
     }
 }
 
@@ -831,28 +2007,85 @@ function directFind(element, selector) {
     }
 }
 
+/**
+ * Copies an element and everything below it into plain objects that can be passed to postMessage.
+ * Comments and processing instructions are dropped; CDATA is kept as text.
+ * @param {Element} element
+ * @returns {XmlTree}
+ */
+function serializeXmlElement(element) {
+    /** @type {Object<string, string>} */
+    const attributes = {};
+    for (const attribute of Array.from(element.attributes)) attributes[attribute.name] = attribute.value;
+    /** @type {Array<XmlTree|string>} */
+    const nodes = [];
+    for (const node of Array.from(element.childNodes)) {
+        if (node.nodeType === 1) nodes.push(serializeXmlElement(/** @type {Element} */ (node)));
+        else if (node.nodeType === 3 || node.nodeType === 4) nodes.push(node.nodeValue || "");
+    }
+    return { name: element.nodeName, attributes, nodes };
+}
+
+/**
+ * Wraps a serialized tree in the small part of the DOM that the parser uses (documentElement, children, nodeName,
+ * getAttribute, textContent), so convertXmlDom can run where there is no DOMParser, such as a Web Worker.
+ * @param {XmlTree} tree - The document element, from serializeXmlElement
+ * @returns {Document}
+ */
+function xmlTreeDocument(tree) {
+    /**
+     * @param {XmlTree} node
+     * @returns {any}
+     */
+    const wrap = (node) => ({
+        nodeName: node.name,
+        children: node.nodes.filter(child => typeof child !== "string").map(child => wrap(/** @type {XmlTree} */ (child))),
+        /** @param {string} name */
+        getAttribute: (name) => Object.prototype.hasOwnProperty.call(node.attributes, name) ? node.attributes[name] : null,
+        get textContent() { return xmlTreeText(node); },
+    });
+    return /** @type {any} */ ({ documentElement: wrap(tree) });
+}
+
+/**
+ * Concatenated text of a serialized element and its descendants, like Node.textContent.
+ * @param {XmlTree} node
+ * @returns {string}
+ */
+function xmlTreeText(node) {
+    return node.nodes.map(child => typeof child === "string" ? child : xmlTreeText(child)).join("");
+}
+
 /**
  * Primary parser for the XML Document.
  * Traverses the XML tree to find all Package and Class definitions.
  * @param {Document} xmlDocument 
+ * @param {Array<Diagnostic>} [diagnostics] - Receives a record of every XML repair.
  * @returns {Array<Definition>} - Array of parsed definition objects (AST).
  */
-function parse(xmlDocument) {
+function parse(xmlDocument, diagnostics = []) {
+    /** @type {Array<Definition>} */
     const result = [];
     const definitions = directFindAll(xmlDocument.documentElement, ["package", "classdef"]);
-    for (const definition of definitions) {
-        result.push(parseDefinition(definition));
-    }
+    definitions.forEach((definition, index) => {
+        reportProgress({ stage: 'parsing', done: index, total: definitions.length, item: definition.getAttribute("name") || "" });
+        result.push(parseDefinition(definition, diagnostics));
+    });
     removeInheritedProperties(result);
+    log.info('parse', `[PARSE] Parsed ${result.length} definitions with ${result.reduce((sum, d) => sum + d.props.length, 0)} members`);
     return result;
 }
 
 /**
  * Parses a single Class, Interface, or Enum definition.
  * @param {Element} definition - The XML element for the definition.
+ * @param {Array<Diagnostic>} [diagnostics] - Receives a record of every XML repair.
  * @returns {Definition} - Parsed definition object.
  */
-function parseDefinition(definition) {
+function parseDefinition(definition, diagnostics = []) {
+    const name = definition.getAttribute("name") || "";
+    /** @type {DiagnosticScope} */
+    const scope = { diagnostics, className: name };
     const constructorEl = directFind(definition, ["elements", "constructor"]);
     let type;
     if (definition.getAttribute("enumeration")) {
@@ -869,16 +2102,16 @@ function parseDefinition(definition) {
         const isStatic = typeAttr === "class";
         const isConstructor = typeAttr === "constructor";
         for (const property of Array.from(element.children)) {
-            props.push(parseProperty(property, isStatic, isConstructor));
+            props.push(parseProperty(property, isStatic, isConstructor, scope));
         }
     }
 
     const extend = directFind(definition, ["superclass"]);
     return {
         type,
-        name: definition.getAttribute("name") || "",
+        name,
         desc: parseDesc(definition),
-        extend: extend ? extend.innerHTML || undefined : undefined,
+        extend: extend ? extend.textContent || undefined : undefined,
         props,
     };
 }
@@ -889,9 +2122,10 @@ function parseDefinition(definition) {
  * * @param {Element} prop - The property/method XML element.
  * @param {boolean} isStatic 
  * @param {boolean} isConstructor
+ * @param {DiagnosticScope} [scope] - Owning class, for reporting repairs.
  * @returns {Property} - Parsed property/method object.
  */
-function parseProperty(prop, isStatic, isConstructor) {
+function parseProperty(prop, isStatic, isConstructor, scope) {
     let type;
     if (prop.getAttribute("name") === ".index") {
         type = "indexer";
@@ -903,9 +2137,16 @@ function parseProperty(prop, isStatic, isConstructor) {
         throw new Error("Unknown property " + prop.nodeName);
     }
 
-    const typeInfo = parseType(directFind(prop, ["datatype"]));
+    const rawName = prop.getAttribute("name") || "";
+    const name = isConstructor ? "constructor" : rawName.replace(/[^\[\]0-9a-zA-Z_$.]/g, "_");
+    const memberScope = scope && Object.assign({}, scope, { member: type === 'indexer' ? "__indexer" : name });
+    if (!isConstructor && type !== 'indexer' && name !== rawName) {
+        reportFix(memberScope, 'member-name-sanitized', 'xml', rawName, name);
+    }
+
+    const typeInfo = parseType(directFind(prop, ["datatype"]), memberScope);
 
-    const params = parseParameters(directFindAll(prop, ["parameters", "parameter"]));
+    const params = parseParameters(directFindAll(prop, ["parameters", "parameter"]), memberScope);
 
     // BEFORE cleanup: Capture method description from last param if present.
     // TRUTH: The XML engine incorrectly dumps the method description onto the 
@@ -925,11 +2166,18 @@ function parseProperty(prop, isStatic, isConstructor) {
             rescuedMethodDesc = lastParam.desc.slice(0, xmlDescCount);
             // Remove only the rescued descriptions from the param, keep type-derived ones
             lastParam.desc = lastParam.desc.slice(xmlDescCount);
+            if (rescuedMethodDesc.length > 0) {
+                reportFix(memberScope && Object.assign({}, memberScope, { parameter: lastParam.name }),
+                    'method-description-rescued', 'xml', rescuedMethodDesc.join(" "), null, "moved from last parameter to method");
+            }
         }
     }
 
     // Detect if this method needs FULL binary recovery (due to malformed types detected in parseType)
     const needsFullBinaryRecovery = params.some(p => p._malformed);
+    if (needsFullBinaryRecovery) {
+        log.debug('parse', `[PARSE] ${scope ? scope.className + "." : ""}${name}: malformed parameter types, flagged for full binary recovery`);
+    }
 
     // Also flag for LIGHT binary lookup if we have params that could be enriched with better descriptions
     const hasParamsToEnrich = params.length > 0;
@@ -938,7 +2186,7 @@ function parseProperty(prop, isStatic, isConstructor) {
         type,
         isStatic,
         readonly: prop.getAttribute("rwaccess") === "readonly",
-        name: isConstructor ? "constructor" : (prop.getAttribute("name") || "").replace(/[^\[\]0-9a-zA-Z_$.]/g, "_"),
+        name,
         desc: parseDesc(prop),
         params: params,
         types: typeInfo.types,
@@ -988,9 +2236,10 @@ function parseDesc(element) {
  * Handles "Parameter name corruption" where params starting with digits
  * or containing spaces are actually fragments of descriptions.
  * * @param {Array<Element>} parameters
+ * @param {DiagnosticScope} [scope] - Owning member, for reporting repairs.
  * @returns {Array<Parameter>} - Array of parsed parameter objects.
  */
-function parseParameters(parameters) {
+function parseParameters(parameters, scope) {
     const finalParams = [];
     let previousWasOptional = false;
 
@@ -1017,7 +2266,8 @@ function parseParameters(parameters) {
     };
 
     for (const [i, parameterElement] of parameters.entries()) {
-        let paramName = parameterElement.getAttribute("name") || "";
+        const originalName = parameterElement.getAttribute("name") || "";
+        let paramName = originalName;
         let paramDesc = parseDesc(parameterElement);
 
         // Track whether description came from XML shortdesc tag
@@ -1047,7 +2297,16 @@ function parseParameters(parameters) {
             paramName = generateUnknownName();
         }
 
-        const typeInfo = parseType(directFind(parameterElement, ["datatype"]));
+        const paramScope = scope && Object.assign({}, scope, { parameter: paramName });
+        if (startsWithNumber) {
+            reportFix(paramScope, 'invalid-param-name', 'xml', originalName, paramName, "name starts with a digit");
+        } else if (hasSpaceInName) {
+            reportFix(paramScope, 'param-name-to-description', 'xml', originalName, paramName, "name was a description");
+        } else if (!originalName) {
+            reportFix(paramScope, 'missing-param-name', 'xml', null, paramName);
+        }
+
+        const typeInfo = parseType(directFind(parameterElement, ["datatype"]), paramScope);
         
         // Track how many descriptions we have from XML before adding type-derived ones
         const xmlDescCount = paramDesc.length;
@@ -1065,12 +2324,17 @@ function parseParameters(parameters) {
             _xmlDescCount: xmlDescCount, // Count of XML descriptions (before type-derived ones)
         });
 
+        if (previousWasOptional && !parameterElement.getAttribute("optional")) {
+            reportFix(paramScope, 'optional-after-optional', 'xml', "false", "true", "follows an optional parameter");
+        }
         if (param.desc.join(" ").toLowerCase().includes("optional")) {
+            if (!param.optional) reportFix(paramScope, 'optional-from-description', 'xml', "false", "true");
             param.optional = true;
         }
         param.desc = param.desc.map(d => d.replace(/\(Optional\)/i, ""));
 
         if (param.name.includes("...")) {
+            reportFix(paramScope, 'rest-param', 'xml', param.name, "...rest");
             param.name = "...rest";
             if (param.types[0]) param.types[0].isArray = true;
         }
@@ -1089,9 +2353,10 @@ function parseParameters(parameters) {
  * The XML generator splits on the FIRST colon, so the type becomes "Optional. Default... :boolean".
  * * Logic below detects this pattern via regex `/(.*):(\S+)$/` to flag malformed types.
  * * @param {Element|undefined} datatype 
+ * @param {DiagnosticScope} [scope] - Owning member/parameter, for reporting repairs.
  * @returns {{types: Array<TypeInfo>, newDesc?: string, hasMalformedType: boolean}}
  */
-function parseType(datatype) {
+function parseType(datatype, scope) {
     const types = [];
     let newDesc;
     let hasMalformedType = false; // Flag: type contained colon (XML parser split wrong)
@@ -1106,8 +2371,10 @@ function parseType(datatype) {
         if (typeMatch) {
             hasMalformedType = true; // This is the key indicator of malformation!
             newDesc = typeMatch[1].trim().replace(/\.$/, '');
+            reportFix(scope, 'malformed-type', 'xml', originalTypeName, typeMatch[2], "description split off the type at the colon");
             originalTypeName = typeMatch[2];
         } else if (originalTypeName.includes(' ')) {
+            reportFix(scope, 'type-to-description', 'xml', originalTypeName, 'any', "type text was a description");
             newDesc = originalTypeName;
             originalTypeName = 'any';
         }
@@ -1169,48 +2436,141 @@ function parseCanReturnAndAcceptValue(str) {
 }
 
 /**
- * Normalizes Adobe's varied and inconsistent type names into valid TypeScript types.
- * Handles specific Adobe quirks like "Unit", "Real", "Int32", "Object", and legacy typos like "Swatche".
+ * Normalizes Adobe's varied and inconsistent type names into valid TypeScript types, using the active
+ * TYPE_NAME_RULES (plus any user rules passed to convertXmlDom). The first matching rule wins.
  * * @param {TypeInfo} type - The type object to normalize.
+ * @param {number} [depth] - Recursion depth, for rules with `recurse` (e.g. "Array of Swatches").
  */
-function parseTypeFixTypeName(type) {
+function parseTypeFixTypeName(type, depth = 0) {
     // Basic cleanup: remove trailing dots, trim whitespace, remove "enumerator" suffix
     type.name = type.name.trim().replace(/enumerators?/, "").replace(/\.$/, "").trim();
 
-    // Map Adobe-specific type strings to TypeScript primitives
-    if (type.name === "varies=any" || type.name === "Any") type.name = "any";
-    else if (type.name === "Undefined") type.name = "undefined";
-    else if (type.name === "Object") type.name = "object";
-    else if (type.name === "String") type.name = "string";
-    else if (type.name === "Boolean" || type.name === "bool") type.name = "boolean";
-    // Map various integer/number formats to 'number'
-    else if (type.name === "Number" || type.name === "int" || type.name === "Int32" || type.name === "uint") type.name = "number";
+    for (const { rule, regex } of typeNameRules) {
+        const match = regex ? type.name.match(regex) : (type.name === rule.name ? [type.name] : null);
+        if (!match) continue;
+
+        // "$1".."$9" in `to` are the pattern's capture groups
+        type.name = rule.to.replace(/\$(\d)/g, (_, group) => match[Number(group)] || "").trim();
+        if (rule.isArray !== undefined) type.isArray = rule.isArray;
+        if (rule.recurse && depth < TYPE_NAME_RULE_MAX_DEPTH) parseTypeFixTypeName(type, depth + 1); // Fix the inner type
+        return;
+    }
+}
+
+/**
+ * Validates type name rules (e.g. from a user rules JSON file) and compiles their patterns.
+ * Accepts either an array of rules or an object with a `rules` array.
+ * * @param {Array<TypeNameRule>|{rules: Array<TypeNameRule>}} json - Parsed rules, or the JSON text of them.
+ * @returns {Array<CompiledTypeNameRule>}
+ */
+function compileTypeNameRules(json) {
+    const parsed = typeof json === "string" ? JSON.parse(json) : json;
+    const rules = Array.isArray(parsed) ? parsed : parsed && parsed.rules;
+    if (!Array.isArray(rules)) throw new Error("Type name rules must be an array, or an object with a \"rules\" array");
+
+    return rules.map((rule, index) => {
+        if (!rule || typeof rule.to !== "string") throw new Error(`Type name rule ${index}: "to" must be a string`);
+        if ((rule.name === undefined) === (rule.pattern === undefined)) throw new Error(`Type name rule ${index}: needs either "name" or "pattern"`);
+        if (rule.isArray !== undefined && typeof rule.isArray !== "boolean") throw new Error(`Type name rule ${index}: "isArray" must be true or false`);
+        if (rule.pattern === undefined) return { rule };
+        try {
+            return { rule, regex: new RegExp(rule.pattern, rule.flags || "") };
+        } catch (e) {
+            throw new Error(`Type name rule ${index}: invalid pattern ${rule.pattern} (${e instanceof Error ? e.message : e})`);
+        }
+    });
+}
 
-    // Handle "Unit" and "Real" types, often with range definitions in the string (e.g., "Unit (0.0 - 100.0)")
-    else if (type.name.match(/^(Unit|Real)\s*(\([\d.]+ - [\d.]+( points)?\))?$/)) type.name = "number";
+/**
+ * Reads the <map> header: the object model title, its version and the <topicref> navigation tree.
+ * parse() only walks package/classdef, so this is the only place the map is used.
+ * * @param {Document} xmlDocument
+ * @param {Array<Definition>} [definitions] - Parsed definitions, used to resolve topicref links.
+ * @returns {MapInfo|null} - Null if the document has no <map>.
+ */
+function parseMap(xmlDocument, definitions = []) {
+    const map = directFind(xmlDocument.documentElement, ["map"]);
+    if (!map) return null;
+    const declared = new Set(definitions.map(d => d.name));
+
+    /**
+     * @param {Element} element
+     * @returns {Array<TocEntry>}
+     */
+    const parseTopicrefs = (element) => directFindAll(element, ["topicref"]).map(topicref => {
+        /** @type {TocEntry} */
+        const entry = { title: topicref.getAttribute("navtitle") || "", children: parseTopicrefs(topicref) };
+        const href = topicref.getAttribute("href");
+        if (href) {
+            entry.href = href;
+            // Links look like "#/ClassName"
+            const target = href.replace(/^#\//, "");
+            if (declared.has(target)) entry.definition = target;
+        }
+        return entry;
+    });
 
-    // Handle fixed-length arrays defined as strings
-    else if (type.name === "Array of 4 Units (0 - 8640 points)") { type.name = "[number, number, number, number]"; type.isArray = false; }
-    else if (type.name === "Array of Reals") { type.name = "number"; type.isArray = true; }
-    else if (type.name.match(/Arrays? of 2 Reals/)) type.name = "[number, number]";
-    else if (type.name.match(/Arrays? of 3 Reals/)) type.name = "[number, number, number]";
-    else if (type.name.match(/Arrays? of 6 Reals/)) type.name = "[number, number, number, number, number, number]";
-    else if (type.name.match(/Arrays? of 2 Units/)) type.name = "[number | string, number | string]";
-    else if (type.name.match(/Arrays? of 2 Strings/)) type.name = "[string, string]";
+    return {
+        title: map.getAttribute("title") || "",
+        version: map.getAttribute("name") || "",
+        toc: parseTopicrefs(map),
+    };
+}
 
-    // Handle legacy integer types
-    else if (type.name.match(/(Short|Long) Integers?/)) type.name = "number";
+/**
+ * The header comment lines generate() writes for a <map> (GenerateOptions.header).
+ * * @param {MapInfo} map
+ * @returns {Array<string>}
+ */
+function mapHeader(map) {
+    return [map.title, "Version: " + map.version];
+}
 
-    // Recursive handling for "Array of X" patterns
-    else if (type.name.startsWith("Array of ")) {
-        type.name = type.name.replace(/^Array of (\S+?)s?$/, "$1").trim();
-        type.isArray = true;
-        parseTypeFixTypeName(type); // Recurse to fix the inner type
+/**
+ * Identifies the host app from the <map title="Adobe Premiere Pro (25.6.3) Object Model"> of a dump.
+ * * @param {Document} xmlDocument
+ * @returns {string|undefined} - Key of HOST_APPS, or undefined if the title is missing or unknown.
+ */
+function parseHostAppId(xmlDocument) {
+    const map = directFind(xmlDocument.documentElement, ["map"]);
+    const title = map ? map.getAttribute("title") || "" : "";
+    for (const [appId, host] of Object.entries(HOST_APPS)) {
+        if (host.title.test(title)) return appId;
     }
+    return undefined;
+}
+
+// #region Global Instances
+// ==========================================
+// GLOBAL INSTANCES (app, qe, ...)
+// ==========================================
 
-    // Fix known typos in Adobe's XML
-    else if (type.name === "Swatche") type.name = "Swatch";
-    else if (type.name === "JavaScript Function") type.name = "Function";
+/**
+ * Works out which root objects to declare as globals.
+ * Known hosts use their mapping (HOST_APPS, optionally overridden). Unknown hosts fall back to
+ * Application-style classes: "Application" -> app, "<PREFIX>Application" -> prefix (e.g., QEApplication -> qe).
+ * Entries whose type isn't declared in this version are dropped.
+ * * @param {Array<Definition>} definitions - The AST being generated.
+ * @param {string} [appId] - Host app id, if known.
+ * @param {Object<string, Array<GlobalInstance>>} [mapping] - Per-app overrides of the HOST_APPS globals.
+ * @returns {Array<GlobalInstance>}
+ */
+function inferGlobalInstances(definitions, appId, mapping) {
+    const declared = new Set(definitions.map(d => d.name));
+
+    /** @type {Array<GlobalInstance>|undefined} */
+    let mapped = mapping && appId ? mapping[appId] : undefined;
+    if (!mapped && appId && appId in HOST_APPS) mapped = HOST_APPS[/** @type {keyof typeof HOST_APPS} */ (appId)].globals;
+    if (mapped) return mapped.filter(global => declared.has(global.type));
+
+    /** @type {Array<GlobalInstance>} */
+    const globals = [];
+    for (const def of definitions) {
+        const match = def.name.match(/^([A-Z]*)Application$/);
+        if (!match || def.type === "enum") continue;
+        globals.push({ name: match[1] ? match[1].toLowerCase() : "app", type: def.name });
+    }
+    return globals;
 }
 
 // #region TS Cleanup
@@ -1282,90 +2642,561 @@ function sort(definitions) {
     return definitions;
 }
 
-// #region .d.ts File Gen
+// #region Patches
 // ==========================================
-// CODE GENERATION (.d.ts)
+// MANUAL OVERRIDES (patch files)
 // ==========================================
 
+/** Fields allowed in a patch entry, a parameter patch, a parameter of an added member and an added member. Anything else is most likely a typo. */
+const PATCH_ENTRY_FIELDS = ["static", "remove", "add", "type", "desc", "readonly", "params"];
+const PATCH_PARAM_FIELDS = ["from", "name", "type", "optional", "desc"];
+const PATCH_NEW_PARAM_FIELDS = ["name", "type", "optional", "desc"];
+const PATCH_MEMBER_FIELDS = ["kind", "readonly", "type", "desc", "params"];
+
 /**
- * Converts the AST into the final TypeScript declaration string.
- * Handles splitting classes into namespaces (e.g., "Premiere.Project" -> namespace Premiere { class Project }).
- * * @param {Array<Definition>} definitions - The sorted and fixed AST.
- * @returns {string} - The complete .d.ts file content.
+ * Applies manual corrections that the XML and DLL heuristics cannot make (see Patch for the format).
+ * Runs on the refined AST, before type resolution and sort(). Every change is reported as a 'patch-*' diagnostic.
+ * As patches are carried forward to newer host versions, each entry also gets a status (see PatchResult):
+ * changes that already hold are skipped, and entries whose class, member or parameter is gone are marked stale.
+ * * @param {Array<Definition>} definitions - The refined AST. Modified in place.
+ * @param {Patch} patch - Parsed patch file (JSON or YAML)
+ * @param {Array<Diagnostic>} [diagnostics] - List receiving the changes.
+ * @returns {Array<PatchResult>} - One result per entry, in file order.
  */
-function generate(definitions) {
-    /** @type {Record<string, Array<Definition>>} */
-    const namespaces = {};
-    const rootDefinitions = [];
+function applyPatch(definitions, patch, diagnostics = []) {
+    validatePatch(patch);
+    /** @type {Array<PatchResult>} */
+    const results = [];
+
+    for (const [key, entry] of Object.entries(patch)) {
+        // Class names can contain dots themselves (namespaces), so the member is after the last one
+        const className = key.slice(0, key.lastIndexOf("."));
+        const memberName = key.slice(key.lastIndexOf(".") + 1);
+        /** @type {PatchResult} */
+        const result = { key, status: "already-satisfied", changes: 0, notes: [] };
+        results.push(result);
+        /** @type {DiagnosticScope} */
+        const scope = { diagnostics, className, member: memberName };
+        const stale = (/** @type {string} */ note) => {
+            result.status = "stale";
+            result.notes.push(note);
+        };
+        const changed = () => {
+            result.changes++;
+            if (result.status !== "stale") result.status = "applied";
+        };
 
-    // Separate definitions into Root vs Namespaced
-    for (const def of definitions) {
-        if (def.name.includes('.')) {
-            const parts = def.name.split('.');
-            const ns = parts[0];
-            const className = parts.slice(1).join('.');
-            if (!namespaces[ns]) namespaces[ns] = [];
-            namespaces[ns].push(Object.assign({}, def, { name: className }));
-        } else {
-            rootDefinitions.push(def);
+        const definition = definitions.find(def => def.name === className);
+        const isStatic = !!entry.static;
+        const prop = definition && definition.props.find(p => p.name === memberName && p.isStatic === isStatic);
+
+        if (entry.remove) {
+            // A member that is already gone needs no removal, but a missing class may have been renamed
+            if (definition && prop) {
+                definition.props.splice(definition.props.indexOf(prop), 1);
+                reportFix(scope, 'patch-remove', 'patch', prop.type, null);
+                changed();
+            } else if (definition) {
+                result.notes.push(`${className} no longer has ${memberName}`);
+            } else {
+                stale(`class ${className} no longer exists`);
+            }
+            continue;
+        }
+        if (!definition) {
+            stale(`class ${className} no longer exists`);
+            continue;
+        }
+        if (entry.add) {
+            if (prop) {
+                result.notes.push(`${memberName} is now declared in the XML`);
+                continue;
+            }
+            const added = patchCreateMember(memberName, isStatic, entry.add);
+            definition.props.push(added);
+            reportFix(scope, 'patch-add', 'patch', null, added.type);
+            changed();
+            continue;
+        }
+        if (!prop) {
+            stale(`${className} no longer has a ${isStatic ? "static " : ""}member ${memberName}`);
+            continue;
         }
-    }
 
-    let output = "";
+        if (entry.type !== undefined) {
+            const before = generateType(prop.types);
+            const types = patchParseTypes(entry.type);
+            if (generateType(types) !== before) {
+                prop.types = types;
+                reportFix(scope, 'patch-type', 'patch', before, generateType(types));
+                changed();
+            }
+        }
+        if (entry.desc !== undefined) {
+            const before = prop.desc.join(" ");
+            const desc = patchDescLines(entry.desc);
+            if (desc.join(" ") !== before) {
+                prop.desc = desc;
+                reportFix(scope, 'patch-desc', 'patch', before || null, desc.join(" "));
+                changed();
+            }
+        }
+        if (entry.readonly !== undefined && entry.readonly !== prop.readonly) {
+            reportFix(scope, 'patch-readonly', 'patch', String(prop.readonly), String(entry.readonly));
+            prop.readonly = entry.readonly;
+            changed();
+        }
+        for (const [indexKey, paramPatch] of Object.entries(entry.params || {})) {
+            const index = Number(indexKey);
+            let param = prop.params[index];
+            // The parameter the patch was written for has moved or was renamed; only already applied renames still match
+            if (paramPatch.from !== undefined && (!param || (param.name !== paramPatch.from && param.name !== paramPatch.name))) {
+                const moved = prop.params.findIndex(p => p.name === paramPatch.from);
+                stale(`${memberName} parameter ${index} is ${param ? `"${param.name}"` : "gone"}, not "${paramPatch.from}"` + (moved >= 0 ? ` ("${paramPatch.from}" is now parameter ${moved})` : ""));
+                continue;
+            }
+            if (!param) {
+                // The next free index adds a parameter; anything beyond no longer fits the signature
+                if (index !== prop.params.length || !paramPatch.name) {
+                    stale(`${memberName} has no parameter ${index} (it has ${prop.params.length})`);
+                    continue;
+                }
+                param = { name: paramPatch.name, desc: [], optional: false, types: [{ name: "any", isArray: false }] };
+                prop.params.push(param);
+                reportFix(Object.assign({}, scope, { parameter: param.name }), 'patch-param-add', 'patch', null, param.name);
+                changed();
+            }
+            if (patchParam(param, paramPatch, Object.assign({}, scope, { parameter: param.name }))) changed();
+        }
+    }
 
-    // Generate root definitions first
-    for (const definition of rootDefinitions) output += generateDefinition(definition);
+    const stale = results.filter(result => result.status === "stale");
+    if (stale.length > 0) log.info('parse', `[PARSE] ${stale.length} stale patch entries:\n  ${stale.map(result => result.key + ": " + result.notes.join("; ")).join("\n  ")}`);
+    return results;
+}
 
-    // Generate namespaced definitions
-    for (const nsName in namespaces) {
-        output += "declare namespace " + nsName + " {\n";
-        for (const definition of namespaces[nsName]) output += generateDefinition(definition, "\t");
-        output += "}\n\n";
+/**
+ * Applies one parameter patch ({name, type, optional, desc}), skipping the values that already hold.
+ * * @param {Parameter} param - Modified in place
+ * @param {PatchParam} paramPatch
+ * @param {DiagnosticScope} scope
+ * @returns {boolean} - Whether anything changed
+ */
+function patchParam(param, paramPatch, scope) {
+    let changed = false;
+    if (paramPatch.name !== undefined && paramPatch.name !== param.name) {
+        reportFix(scope, 'patch-param-name', 'patch', param.name, paramPatch.name);
+        param.name = paramPatch.name;
+        changed = true;
     }
-    return output;
+    if (paramPatch.type !== undefined) {
+        const before = generateType(param.types);
+        const types = patchParseTypes(paramPatch.type);
+        if (generateType(types) !== before) {
+            param.types = types;
+            reportFix(scope, 'patch-param-type', 'patch', before, generateType(types));
+            changed = true;
+        }
+    }
+    if (paramPatch.optional !== undefined && paramPatch.optional !== param.optional) {
+        reportFix(scope, 'patch-param-optional', 'patch', String(param.optional), String(paramPatch.optional));
+        param.optional = paramPatch.optional;
+        changed = true;
+    }
+    if (paramPatch.desc !== undefined) {
+        const before = param.desc.join(" ");
+        const desc = patchDescLines(paramPatch.desc);
+        if (desc.join(" ") !== before) {
+            param.desc = desc;
+            reportFix(scope, 'patch-param-desc', 'patch', before || null, desc.join(" "));
+            changed = true;
+        }
+    }
+    return changed;
 }
 
 /**
- * Generates the TypeScript string for a single class, interface, or enum.
- * * @param {Definition} definition - The definition object.
- * @param {string} indent - Current indentation string (e.g., "\t").
+ * Counts patch results per status, for reports.
+ * * @param {Array<PatchResult>} results
+ * @returns {{applied: number, alreadySatisfied: number, stale: number}}
  */
-function generateDefinition(definition, indent = "") {
-    let output = "";
+function summarizePatchResults(results) {
+    return {
+        applied: results.filter(result => result.status === "applied").length,
+        alreadySatisfied: results.filter(result => result.status === "already-satisfied").length,
+        stale: results.filter(result => result.status === "stale").length,
+    };
+}
 
-    // Class/Interface JSDoc
-    if (definition.desc.length > 0) { // If no description, don't add the comment lines, they'll just be blank
-        output += indent + "/**\n" + indent + " * " + definition.desc.join("\n" + indent + " * ") + "\n" + indent + " */\n";
+/**
+ * Builds a new member from the "add" block of a patch entry.
+ * * @param {string} name
+ * @param {boolean} isStatic
+ * @param {PatchMember} member
+ * @returns {Property}
+ */
+function patchCreateMember(name, isStatic, member) {
+    const isMethod = member.kind === "method";
+    return {
+        type: isMethod ? "method" : "property",
+        isStatic,
+        readonly: !!member.readonly,
+        name,
+        desc: member.desc !== undefined ? patchDescLines(member.desc) : [],
+        params: (member.params || []).map(param => ({
+            name: param.name || "",
+            desc: param.desc !== undefined ? patchDescLines(param.desc) : [],
+            optional: !!param.optional,
+            types: patchParseTypes(param.type || "any"),
+        })),
+        types: patchParseTypes(member.type || (isMethod ? "void" : "any")),
+    };
+}
+
+/**
+ * Parses a TypeScript-style type string from a patch ("string | Track[]") into TypeInfo entries.
+ * Only splits on top-level "|", so tuples like "[number | string, number]" stay one type.
+ * * @param {string} text
+ * @returns {Array<TypeInfo>}
+ */
+function patchParseTypes(text) {
+    const parts = [];
+    let depth = 0;
+    let current = "";
+    for (const char of text) {
+        if (char === "[" || char === "(" || char === "<") depth++;
+        else if (char === "]" || char === ")" || char === ">") depth--;
+        if (char === "|" && depth === 0) {
+            parts.push(current);
+            current = "";
+        } else {
+            current += char;
+        }
     }
-    
-    const name = "declare " + definition.type + " " + definition.name;
-    const extend = definition.extend ? " extends " + definition.extend : "";
-    output += indent + name + extend + " {\n";
+    parts.push(current);
+    return parts.map(part => part.trim()).filter(part => part).map(part => {
+        const isArray = part.endsWith("[]") && !part.startsWith("[");
+        return { name: isArray ? part.slice(0, -2).trim() : part, isArray };
+    });
+}
 
-    // Track whether the previous property had JSDoc lines so we can add a space after that. Otherwise don't add space between properties/methods without comments
-    // Set the first one to true as default so it adds a space for the first one
-    let previousPropHadDescription = true;
+/**
+ * Description of a patch as lines (a string is split at line breaks).
+ * * @param {string|Array<string>} desc
+ * @returns {Array<string>}
+ */
+function patchDescLines(desc) {
+    return (Array.isArray(desc) ? desc : String(desc).split(/\r?\n/)).map(line => line.trim()).filter(line => line);
+}
 
-    for (const prop of definition.props) {
-        let propCommentLines = "";
-        let propSignatureString = "";
-        const propIndent = indent + "\t";
-        
-        const propDescriptionLine = propIndent + " * " + prop.desc.join("\n" + propIndent + " * ") + "\n"
-        propCommentLines += propIndent + "/**\n" + propDescriptionLine;
+/**
+ * Checks the shape of a parsed patch file, so typos fail loudly instead of being ignored.
+ * * @param {any} patch
+ */
+function validatePatch(patch) {
+    if (!patch || typeof patch !== "object" || Array.isArray(patch)) throw new Error("A patch must be an object keyed by \"Class.member\"");
+    /**
+     * @param {any} object
+     * @param {Array<string>} allowed
+     * @param {string} where
+     */
+    const checkFields = (object, allowed, where) => {
+        if (!object || typeof object !== "object" || Array.isArray(object)) throw new Error(`${where} must be an object`);
+        const unknown = Object.keys(object).filter(field => !allowed.includes(field));
+        if (unknown.length > 0) throw new Error(`${where}: unknown field "${unknown[0]}" (expected ${allowed.join(", ")})`);
+    };
 
-        if (prop.type === "method" || prop.type === "indexer") {
-            // Generate Method Signature
-            const params = prop.params.map(param => {
-                const methodName = generateFixParamName(param.name);
-                const desc = param.desc.join(" ").trim();
-                // Add @param JSDoc
-                if (desc) propCommentLines += propIndent + " * @param " + methodName + " " + desc + "\n";
-                return methodName + (param.optional ? "?" : "") + ": " + generateType(param.types);
+    for (const [key, entry] of Object.entries(patch)) {
+        const where = `Patch "${key}"`;
+        if (key.lastIndexOf(".") <= 0) throw new Error(`${where}: key must be "Class.member"`);
+        checkFields(entry, PATCH_ENTRY_FIELDS, where);
+        if ((entry.add || entry.remove) && Object.keys(entry).some(field => !["add", "remove", "static"].includes(field))) {
+            throw new Error(`${where}: "add" and "remove" cannot be combined with other changes`);
+        }
+        if (entry.add) {
+            checkFields(entry.add, PATCH_MEMBER_FIELDS, `${where} add`);
+            if (entry.add.kind !== "method" && entry.add.kind !== "property") throw new Error(`${where} add: "kind" must be "method" or "property"`);
+            (entry.add.params || []).forEach((/** @type {any} */ param, /** @type {number} */ i) => {
+                checkFields(param, PATCH_NEW_PARAM_FIELDS, `${where} add params[${i}]`);
+                if (!param.name) throw new Error(`${where} add params[${i}]: "name" is required`);
             });
-            propCommentLines += propIndent + " */\n";
-
-            const type = generateType(prop.types);
+        }
+        for (const [index, paramPatch] of Object.entries(entry.params || {})) {
+            if (!/^\d+$/.test(index)) throw new Error(`${where}: parameter key "${index}" must be a 0-based index`);
+            checkFields(paramPatch, PATCH_PARAM_FIELDS, `${where} params.${index}`);
+        }
+    }
+}
+
+// #region Fix Review
+// ==========================================
+// REVIEW DECISIONS FOR BINARY FIXES
+// ==========================================
+
+/**
+ * Key of a binary fix in a decision map: the fields that identify it from one run to the next.
+ * Parameters are identified by their XML position, not their name, which earlier fixes of the method may have changed.
+ * * @param {{className: string, member: string, kind: string, parameterIndex?: number, after: string|null}} fix - A Diagnostic or FixDecision
+ * @returns {string}
+ */
+function fixDecisionKey(fix) {
+    return JSON.stringify([fix.className, fix.member, fix.kind, fix.parameterIndex === undefined ? null : fix.parameterIndex, fix.after]);
+}
+
+/**
+ * Checks exported review decisions and turns them into the lookup used by applyBinaryFixesToMethod.
+ * * @param {FixDecisions} [document] - From exportFixDecisions. Nothing means no decisions.
+ * @returns {Map<string, {accept: boolean, index: number}>} - Whether to make each fix, and the decision's position in the document, by fixDecisionKey
+ */
+function compileFixDecisions(document) {
+    /** @type {Map<string, {accept: boolean, index: number}>} */
+    const decisions = new Map();
+    if (!document) return decisions;
+    if (typeof document !== "object" || document.schema !== FIX_DECISIONS_SCHEMA_NAME) throw new Error(`Fix decisions must be a "${FIX_DECISIONS_SCHEMA_NAME}" document (see exportFixDecisions)`);
+    if (document.schemaVersion !== FIX_DECISIONS_SCHEMA_VERSION) throw new Error(`Unsupported fix decisions version ${document.schemaVersion} (expected ${FIX_DECISIONS_SCHEMA_VERSION})`);
+    if (!Array.isArray(document.decisions)) throw new Error("Fix decisions: \"decisions\" must be a list");
+    document.decisions.forEach((decision, i) => {
+        const where = `Fix decision ${i}`;
+        if (!decision || typeof decision !== "object") throw new Error(`${where} must be an object`);
+        for (const field of ["className", "member", "kind"]) {
+            if (typeof (/** @type {any} */ (decision))[field] !== "string") throw new Error(`${where}: "${field}" must be a string`);
+        }
+        if (decision.parameterIndex !== undefined && !(Number.isInteger(decision.parameterIndex) && decision.parameterIndex >= 0)) throw new Error(`${where}: "parameterIndex" must be a 0-based position`);
+        if (typeof decision.accept !== "boolean") throw new Error(`${where}: "accept" must be true or false`);
+        decisions.set(fixDecisionKey(decision), { accept: decision.accept, index: i });
+    });
+    return decisions;
+}
+
+/**
+ * Records which binary fixes a review accepted, to replay them with ConversionOptions.fixDecisions on the next run.
+ * Decisions of an earlier export that the review did not cover (e.g. other XML files) are kept.
+ * * @param {Array<{fix: Diagnostic, accept: boolean}>} reviewed - Fixes from ConversionResult.methodChanges and whether to make them
+ * @param {FixDecisions} [previous] - Earlier export to update
+ * @returns {FixDecisions}
+ */
+function exportFixDecisions(reviewed, previous) {
+    /** @type {Map<string, FixDecision>} */
+    const decisions = new Map();
+    for (const decision of previous ? previous.decisions : []) decisions.set(fixDecisionKey(decision), decision);
+    for (const { fix, accept } of reviewed) {
+        /** @type {FixDecision} */
+        const decision = Object.assign({ className: fix.className, member: fix.member, kind: fix.kind },
+            fix.parameterIndex === undefined ? {} : { parameterIndex: fix.parameterIndex, parameter: fix.parameter }, { before: fix.before, after: fix.after, accept });
+        decisions.set(fixDecisionKey(decision), decision);
+    }
+    return { schema: FIX_DECISIONS_SCHEMA_NAME, schemaVersion: FIX_DECISIONS_SCHEMA_VERSION, decisions: Array.from(decisions.values()) };
+}
+
+/**
+ * The JSDoc and signature generate() writes for a method, without the class around it, for showing it before and after its fixes.
+ * * @param {Property} prop
+ * @returns {string}
+ */
+function generateMethodPreview(prop) {
+    const output = generateDefinition({ type: "interface", name: "", desc: [], props: [prop] });
+    // Member lines are the indented ones
+    return output.split("\n").filter(line => line.startsWith("\t")).map(line => line.slice(1)).join("\n");
+}
+
+// #region Type Resolution
+// ==========================================
+// TYPE REFERENCE RESOLUTION
+// ==========================================
+
+/**
+ * Finds every type name the AST references (member types, parameter types and superclasses) that is neither declared
+ * in it, a TypeScript/ES5 built-in, nor listed as external. Depending on the mode, each one is either declared as an
+ * empty stub interface (appended to the definitions) or replaced by `any` (superclasses are dropped).
+ * Every affected reference is reported as an 'unresolved-type' diagnostic.
+ * * @param {Array<Definition>} definitions - The refined AST. Types are rewritten in place.
+ * @param {{mode?: string, externalTypes?: Array<string>}} [options] - mode: 'stub' (default) or 'any'.
+ * @param {Array<Diagnostic>} [diagnostics] - List receiving the repairs.
+ * @returns {Array<Definition>} - The definitions, plus the stubs in 'stub' mode.
+ */
+function resolveTypeReferences(definitions, options = {}, diagnostics = []) {
+    const mode = options.mode || "stub";
+    if (!UNRESOLVED_TYPE_MODES.includes(mode)) {
+        throw new Error(`Unknown unresolved type mode "${mode}" (expected ${UNRESOLVED_TYPE_MODES.join(", ")})`);
+    }
+    const declared = new Set(definitions.map(definition => definition.name));
+    const external = new Set(options.externalTypes || []);
+    const isKnown = (/** @type {string} */ name) => declared.has(name) || BUILTIN_TYPE_NAMES.has(name) || external.has(name);
+    /** @type {Set<string>} */
+    const unresolved = new Set();
+
+    /**
+     * @param {Array<TypeInfo>} types
+     * @param {DiagnosticScope} scope
+     */
+    const resolveTypes = (types, scope) => {
+        let rewritten = false;
+        for (const type of types) {
+            // Names can be type expressions (e.g. "[number | string, number]"), so check every identifier in them
+            const missing = (type.name.match(/[A-Za-z_$][\w$.]*/g) || []).filter(name => !isKnown(name));
+            if (missing.length === 0) continue;
+            if (mode === "any") {
+                reportFix(scope, 'unresolved-type', 'xml', type.name, "any", `${missing.join(", ")} not declared`);
+                type.name = "any";
+                rewritten = true;
+            } else {
+                for (const name of missing) {
+                    unresolved.add(name);
+                    reportFix(scope, 'unresolved-type', 'xml', name, name, "declared as a stub interface");
+                }
+            }
+        }
+        // "any | any[]" and the like collapse to a single any
+        if (rewritten && types.some(type => type.name === "any" && !type.isArray)) types.splice(0, types.length, { name: "any", isArray: false });
+    };
+
+    for (const definition of definitions) {
+        if (definition.extend && !isKnown(definition.extend)) {
+            /** @type {DiagnosticScope} */
+            const scope = { diagnostics, className: definition.name };
+            if (mode === "any") {
+                reportFix(scope, 'unresolved-type', 'xml', definition.extend, null, "superclass not declared, extends removed");
+                delete definition.extend;
+            } else {
+                unresolved.add(definition.extend);
+                reportFix(scope, 'unresolved-type', 'xml', definition.extend, definition.extend, "declared as a stub interface");
+            }
+        }
+        // Enum members only carry their value
+        if (definition.type === "enum") continue;
+
+        for (const prop of definition.props) {
+            /** @type {DiagnosticScope} */
+            const scope = { diagnostics, className: definition.name, member: prop.name };
+            resolveTypes(prop.types, scope);
+            for (const param of prop.params) resolveTypes(param.types, Object.assign({}, scope, { parameter: param.name }));
+        }
+    }
+
+    if (unresolved.size > 0) log.info('parse', `[PARSE] Declared ${unresolved.size} stub types: ${[...unresolved].join(", ")}`);
+    const stubs = [...unresolved].map(name => /** @type {Definition} */ ({
+        type: "interface",
+        name,
+        desc: ["Referenced by this object model but not declared in it."],
+        props: [],
+        _stub: true,
+    }));
+    return definitions.concat(stubs);
+}
+
+// #region .d.ts File Gen
+// ==========================================
+// CODE GENERATION (.d.ts)
+// ==========================================
+
+/**
+ * Converts the AST into the final TypeScript declaration string.
+ * Handles splitting classes into namespaces (e.g., "Premiere.Project" -> namespace Premiere { class Project }).
+ * * @param {Array<Definition>} definitions - The sorted and fixed AST.
+ * @param {GenerateOptions} [options] - Output profile, references and global instances.
+ * @returns {string} - The complete .d.ts file content.
+ */
+function generate(definitions, options = {}) {
+    const profileName = options.profile || "default";
+    if (!(profileName in OUTPUT_PROFILES)) {
+        throw new Error(`Unknown output profile "${profileName}" (expected ${Object.keys(OUTPUT_PROFILES).join(", ")})`);
+    }
+    const profile = OUTPUT_PROFILES[/** @type {keyof typeof OUTPUT_PROFILES} */ (profileName)];
+
+    /** @type {Record<string, Array<Definition>>} */
+    const namespaces = {};
+    const rootDefinitions = [];
+
+    // Separate definitions into Root vs Namespaced
+    for (const original of definitions) {
+        // types-for-adobe declares every non-enum type as a class
+        const def = profile.classesOnly && original.type === "interface" ? Object.assign({}, original, { type: "class" }) : original;
+        if (def.name.includes('.')) {
+            const parts = def.name.split('.');
+            const ns = parts[0];
+            const className = parts.slice(1).join('.');
+            if (!namespaces[ns]) namespaces[ns] = [];
+            namespaces[ns].push(Object.assign({}, def, { name: className }));
+        } else {
+            rootDefinitions.push(def);
+        }
+    }
+
+    let output = "";
+
+    // File header comment (comments are allowed before /// <reference> directives)
+    if (options.header && options.header.length > 0) {
+        output += "/**\n * " + options.header.join("\n * ") + "\n */\n\n";
+    }
+
+    // Link shared base types first (/// <reference> must precede all statements)
+    const references = options.references || profile.references;
+    for (const reference of references) output += `/// <reference path="${reference}" />\n`;
+    if (references.length > 0) output += "\n";
+
+    // Generate root definitions first
+    for (const definition of rootDefinitions) output += generateDefinition(definition);
+
+    // Generate namespaced definitions
+    for (const nsName in namespaces) {
+        output += "declare namespace " + nsName + " {\n";
+        for (const definition of namespaces[nsName]) output += generateDefinition(definition, "\t");
+        output += "}\n\n";
+    }
+
+    // Global instances of the root objects (e.g., `declare var app: Application`)
+    const globals = options.globals || inferGlobalInstances(definitions);
+    for (const global of globals) {
+        output += "declare " + profile.globalKeyword + " " + global.name + ": " + global.type + ";\n";
+    }
+    if (globals.length > 0) output += "\n";
+    return output;
+}
+
+/**
+ * Generates the TypeScript string for a single class, interface, or enum.
+ * * @param {Definition} definition - The definition object.
+ * @param {string} indent - Current indentation string (e.g., "\t").
+ */
+function generateDefinition(definition, indent = "") {
+    let output = "";
+
+    // Class/Interface JSDoc
+    const definitionDocLines = definition.desc.concat(generateVersionTags(definition));
+    if (definitionDocLines.length > 0) { // If no description, don't add the comment lines, they'll just be blank
+        output += indent + "/**\n" + indent + " * " + definitionDocLines.join("\n" + indent + " * ") + "\n" + indent + " */\n";
+    }
+    
+    const name = "declare " + definition.type + " " + definition.name;
+    const extend = definition.extend ? " extends " + definition.extend : "";
+    output += indent + name + extend + " {\n";
+
+    // Track whether the previous property had JSDoc lines so we can add a space after that. Otherwise don't add space between properties/methods without comments
+    // Set the first one to true as default so it adds a space for the first one
+    let previousPropHadDescription = true;
+
+    for (const prop of definition.props) {
+        let propCommentLines = "";
+        let propSignatureString = "";
+        const propIndent = indent + "\t";
+        
+        const versionTagLines = generateVersionTags(prop).map(tag => propIndent + " * " + tag + "\n").join("");
+        // A merged member without description starts with its tags rather than a blank " * " line
+        const propDescriptionLine = prop.desc.length > 0 || !versionTagLines ? propIndent + " * " + prop.desc.join("\n" + propIndent + " * ") + "\n" : "";
+        propCommentLines += propIndent + "/**\n" + propDescriptionLine;
+
+        if (prop.type === "method" || prop.type === "indexer") {
+            // Generate Method Signature
+            const params = prop.params.map(param => {
+                const methodName = generateFixParamName(param.name);
+                const desc = param.desc.join(" ").trim();
+                // Add @param JSDoc
+                if (desc) propCommentLines += propIndent + " * @param " + methodName + " " + desc + "\n";
+                return generateParam(param);
+            });
+            propCommentLines += versionTagLines + propIndent + " */\n";
+
+            const type = generateType(prop.types);
             const staticKeyword = (prop.isStatic ? "static " : "");
             const readonlyKeyword = (prop.readonly ? "readonly " : "");
 
@@ -1379,7 +3210,7 @@ function generateDefinition(definition, indent = "") {
         }
         else if (definition.type === "class" || definition.type === "interface") {
             // Nested Class/Interface property (used in dynamic definitions)
-            propCommentLines += propIndent + " */\n";
+            propCommentLines += versionTagLines + propIndent + " */\n";
             const className = prop.name === "constructor" ? "'constructor'" : prop.name;
             const staticKeyword = (prop.isStatic ? "static " : "");
             const readonlyKeyword = (prop.readonly ? "readonly " : "");
@@ -1388,7 +3219,7 @@ function generateDefinition(definition, indent = "") {
         }
         else if (definition.type === "enum") {
             // Enum Member
-            propCommentLines += propIndent + " */\n";
+            propCommentLines += versionTagLines + propIndent + " */\n";
             propSignatureString += propIndent + prop.name + " = " + prop.types[0].value + ",\n";
         }
 
@@ -1414,6 +3245,26 @@ function generateDefinition(definition, indent = "") {
     return output;
 }
 
+/**
+ * Generates the @since / @deprecated JSDoc tags for a merged multi-version definition or member.
+ * * @param {Definition|Property} item
+ * @returns {Array<string>}
+ */
+function generateVersionTags(item) {
+    const tags = [];
+    if (item.since) tags.push("@since " + item.since);
+    if (item.removedIn) tags.push("@deprecated Removed in " + item.removedIn);
+    return tags;
+}
+
+/**
+ * Generates a single parameter as it appears in a signature (e.g., "name?: string").
+ * * @param {Parameter} param
+ */
+function generateParam(param) {
+    return generateFixParamName(param.name) + (param.optional ? "?" : "") + ": " + generateType(param.types);
+}
+
 /**
  * Joins multiple types with union separator "|".
  * * @param {Array<TypeInfo>} types - List of type objects.
@@ -1432,4 +3283,1017 @@ function generateType(types) {
 function generateFixParamName(name) {
     if (["for", "with", "in", "default", "return", "export", "function"].includes(name)) return name + "_";
     return name;
-}
\ No newline at end of file
+}
+
+// #region Validation
+// ==========================================
+// OUTPUT VALIDATION (TypeScript compiler API)
+// ==========================================
+
+/** In-memory file name the generated text is compiled under. */
+const VALIDATION_FILE_NAME = "generated.d.ts";
+
+/** Stand-in for lib.es5.d.ts where the compiler cannot read its own files: the global types the checker requires, plus Date/Error. */
+const VALIDATION_MINIMAL_LIB = `interface Array<T> { length: number; [n: number]: T; }
+interface Boolean {}
+interface CallableFunction {}
+interface Date {}
+interface Error { message: string; }
+interface Function {}
+interface IArguments {}
+interface NewableFunction {}
+interface Number {}
+interface Object {}
+interface RegExp {}
+interface String {}
+`;
+
+/**
+ * Compiles generated .d.ts text in memory with the TypeScript compiler API and maps every error
+ * back to the class and member that produced it.
+ * The compiler is passed in (require('typescript') in Node.js, window.ts in the browser), so this file keeps no dependency on it.
+ * Standard library types come from the compiler's own lib.es5.d.ts when it can read files (Node.js), otherwise (browser)
+ * from VALIDATION_MINIMAL_LIB. /// <reference> files are not followed.
+ * * @param {string} dts - Output of generate()
+ * @param {any} ts - The TypeScript module
+ * @returns {Array<ValidationIssue>}
+ */
+function validateDts(dts, ts) {
+    const compilerOptions = { noEmit: true, noResolve: true, target: ts.ScriptTarget.ES5, lib: ["lib.es5.d.ts"], types: [] };
+    const sourceFile = ts.createSourceFile(VALIDATION_FILE_NAME, dts, ts.ScriptTarget.ES5, true);
+    const libFolder = ts.sys ? ts.getDirectoryPath(ts.sys.getExecutingFilePath()) : "";
+
+    const host = {
+        /** @param {string} fileName */
+        getSourceFile: (fileName) => {
+            if (fileName === VALIDATION_FILE_NAME) return sourceFile;
+            const text = ts.sys ? ts.sys.readFile(fileName) : VALIDATION_MINIMAL_LIB;
+            return text === undefined ? undefined : ts.createSourceFile(fileName, text, ts.ScriptTarget.ES5);
+        },
+        getDefaultLibFileName: () => ts.combinePaths(libFolder, "lib.es5.d.ts"),
+        getDefaultLibLocation: () => libFolder,
+        writeFile: () => {},
+        getCurrentDirectory: () => "",
+        getDirectories: () => [],
+        /** @param {string} fileName */
+        fileExists: (fileName) => fileName === VALIDATION_FILE_NAME || !ts.sys || ts.sys.fileExists(fileName),
+        /** @param {string} fileName */
+        readFile: (fileName) => fileName === VALIDATION_FILE_NAME ? dts : (ts.sys ? ts.sys.readFile(fileName) : VALIDATION_MINIMAL_LIB),
+        /** @param {string} fileName */
+        getCanonicalFileName: (fileName) => fileName,
+        useCaseSensitiveFileNames: () => true,
+        getNewLine: () => "\n",
+    };
+
+    const program = ts.createProgram([VALIDATION_FILE_NAME], compilerOptions, host);
+    const owners = validationLineOwners(dts);
+    /** @type {Array<ValidationIssue>} */
+    const issues = [];
+    const tsDiagnostics = program.getSyntacticDiagnostics(sourceFile).concat(program.getSemanticDiagnostics(sourceFile), program.getGlobalDiagnostics());
+    for (const diagnostic of tsDiagnostics) {
+        if (diagnostic.category !== ts.DiagnosticCategory.Error) continue;
+        /** @type {ValidationIssue} */
+        const issue = { code: diagnostic.code, message: ts.flattenDiagnosticMessageText(diagnostic.messageText, " "), line: 0, column: 0, className: "", member: "" };
+        // Errors inside the standard library (e.g. a missing lib in the browser) have no position in our file
+        if (diagnostic.file && diagnostic.file.fileName === VALIDATION_FILE_NAME && diagnostic.start !== undefined) {
+            const position = sourceFile.getLineAndCharacterOfPosition(diagnostic.start);
+            issue.line = position.line + 1;
+            issue.column = position.character + 1;
+            Object.assign(issue, owners[position.line]);
+        }
+        issues.push(issue);
+    }
+    return issues;
+}
+
+/**
+ * Works out which class and member every line of generated text belongs to, from the layout generate() writes:
+ * "declare namespace" / "declare class|interface|enum" openers, one member per line, and JSDoc blocks right above
+ * the class or member they document.
+ * * @param {string} dts
+ * @returns {Array<{className: string, member: string}>} - Indexed by 0-based line number
+ */
+function validationLineOwners(dts) {
+    const lines = dts.split("\n");
+    /** @type {Array<{className: string, member: string}|null>} */
+    const owners = [];
+    let namespace = "";
+    let className = "";
+
+    // Forward pass: declarations and member signatures (comment lines are resolved below)
+    for (const line of lines) {
+        const namespaceMatch = line.match(/^declare namespace ([\w$]+)/);
+        const definitionMatch = line.match(/^\s*declare (?:class|interface|enum) ([\w$.]+)/);
+        const memberMatch = line.match(/^\t+(?:static )?(?:readonly )?(constructor|'constructor'|\[|[\w$]+)/);
+        if (/^\s*(\/\*\*|\*)/.test(line)) {
+            owners.push(null);
+        } else if (namespaceMatch) {
+            namespace = namespaceMatch[1];
+            owners.push({ className: "", member: "" });
+        } else if (definitionMatch) {
+            className = (namespace ? namespace + "." : "") + definitionMatch[1];
+            owners.push({ className, member: "" });
+        } else if (/^\t*}/.test(line)) {
+            owners.push({ className, member: "" });
+            className = "";
+            if (line === "}") namespace = "";
+        } else if (className && memberMatch) {
+            owners.push({ className, member: memberMatch[1] === "[" ? "[index]" : memberMatch[1].replace(/'/g, "") });
+        } else {
+            owners.push({ className, member: "" });
+        }
+    }
+
+    // Backward pass: a JSDoc block belongs to the declaration or member that follows it
+    let next = { className: "", member: "" };
+    for (let i = owners.length - 1; i >= 0; i--) {
+        const owner = owners[i];
+        if (owner) next = owner;
+        else owners[i] = next;
+    }
+    return /** @type {Array<{className: string, member: string}>} */ (owners);
+}
+
+// #region HTML Reference
+// ==========================================
+// OFFLINE HTML API REFERENCE
+// ==========================================
+
+/** Stylesheet shared by every page of the HTML reference. */
+const HTML_SITE_CSS = `body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, Helvetica, Arial, sans-serif; line-height: 1.5; color: #222; max-width: 960px; margin: 0 auto; padding: 0 20px 40px; }
+header { display: flex; gap: 16px; align-items: center; border-bottom: 1px solid #ddd; padding: 10px 0; position: relative; }
+header a { font-weight: bold; text-decoration: none; }
+#search { flex: 1; padding: 6px 8px; font-size: 1em; }
+#search-results { position: absolute; top: 100%; right: 0; left: 0; background: #fff; border: 1px solid #ddd; list-style: none; margin: 0; padding: 0; max-height: 60vh; overflow: auto; z-index: 1; }
+#search-results:empty { display: none; }
+#search-results li { padding: 4px 8px; }
+#search-results small { color: #888; }
+code, pre { font-family: Consolas, Menlo, monospace; font-size: 0.95em; }
+pre { background: #f5f5f5; padding: 8px 12px; overflow-x: auto; }
+table { border-collapse: collapse; width: 100%; margin: 8px 0 16px; }
+th, td { border: 1px solid #ddd; padding: 4px 8px; text-align: left; vertical-align: top; }
+th { background: #f5f5f5; }
+.tag { display: inline-block; font-size: 0.8em; background: #eee; border-radius: 3px; padding: 0 4px; margin-right: 4px; }
+.deprecated { color: #b00; }
+.member { border-top: 1px solid #eee; padding-top: 8px; }
+ul.index { columns: 3; }
+`;
+
+/** Client-side search over window.SEARCH_INDEX (loaded from search-index.js, so it also works from file://). */
+const HTML_SITE_SEARCH_JS = `(function () {
+    var input = document.getElementById('search');
+    var list = document.getElementById('search-results');
+    input.addEventListener('input', function () {
+        var query = input.value.trim().toLowerCase();
+        list.innerHTML = '';
+        if (!query) return;
+        var matches = window.SEARCH_INDEX.filter(function (entry) { return entry.name.toLowerCase().indexOf(query) !== -1; });
+        matches.sort(function (a, b) { return a.name.length - b.name.length; });
+        matches.slice(0, 50).forEach(function (entry) {
+            var item = document.createElement('li');
+            var link = document.createElement('a');
+            link.href = entry.url;
+            link.textContent = entry.name;
+            var kind = document.createElement('small');
+            kind.textContent = ' ' + entry.kind;
+            item.appendChild(link);
+            item.appendChild(kind);
+            list.appendChild(item);
+        });
+    });
+})();
+`;
+
+/**
+ * Generates a static multi-page HTML reference from the AST, usable offline (no external assets or fetch).
+ * Pages: index.html (all types), one page per definition, plus style.css, search.js and search-index.js.
+ * * @param {Array<Definition>} definitions - The sorted and fixed AST.
+ * @param {DocsOptions} [options]
+ * @returns {Array<GeneratedFile>} - Files with paths relative to the site folder.
+ */
+function generateHtmlSite(definitions, options = {}) {
+    definitions = definitions.filter(definition => !definition._stub);
+    const title = options.title || "API Reference";
+    /** @type {Record<string, string>} */
+    const pages = {};
+    for (const definition of definitions) pages[definition.name] = docFileName(definition.name, ".html", pages);
+
+    /** @type {Record<string, Array<string>>} */
+    const subclasses = {};
+    for (const definition of definitions) {
+        if (!definition.extend) continue;
+        if (!subclasses[definition.extend]) subclasses[definition.extend] = [];
+        subclasses[definition.extend].push(definition.name);
+    }
+
+    const searchIndex = [];
+    /** @type {Array<GeneratedFile>} */
+    const files = [];
+    for (const definition of definitions) {
+        const page = pages[definition.name];
+        searchIndex.push({ name: definition.name, kind: definition.type, url: page });
+        for (const prop of definition.props) {
+            searchIndex.push({ name: definition.name + "." + prop.name, kind: prop.type, url: page + "#" + htmlMemberAnchor(prop) });
+        }
+        files.push({ path: page, content: htmlPage(definition.name + " - " + title, htmlDefinitionBody(definition, definitions, pages, subclasses)) });
+    }
+
+    let index = `<h1>${htmlEscape(title)}</h1>\n`;
+    if (options.description) index += options.description.map(line => `<p>${htmlEscape(line)}</p>\n`).join("");
+    for (const [heading, type] of [["Classes", "class"], ["Interfaces", "interface"], ["Enums", "enum"]]) {
+        const ofType = definitions.filter(definition => definition.type === type);
+        if (ofType.length === 0) continue;
+        index += `<h2>${heading}</h2>\n<ul class="index">\n`;
+        index += ofType.map(definition => `<li><a href="${pages[definition.name]}">${htmlEscape(definition.name)}</a></li>\n`).join("");
+        index += "</ul>\n";
+    }
+
+    files.unshift({ path: "index.html", content: htmlPage(title, index) });
+    files.push({ path: "style.css", content: HTML_SITE_CSS });
+    files.push({ path: "search.js", content: HTML_SITE_SEARCH_JS });
+    files.push({ path: "search-index.js", content: "window.SEARCH_INDEX = " + JSON.stringify(searchIndex) + ";\n" });
+    return files;
+}
+
+/**
+ * Wraps a page body with the shared head, navigation bar and search box.
+ * * @param {string} title
+ * @param {string} body - HTML content
+ */
+function htmlPage(title, body) {
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>${htmlEscape(title)}</title>
+<link rel="stylesheet" href="style.css">
+</head>
+<body>
+<header><a href="index.html">Index</a><input id="search" type="search" placeholder="Search classes and members" autocomplete="off"><ul id="search-results"></ul></header>
+<main>
+${body}</main>
+<script src="search-index.js"></script>
+<script src="search.js"></script>
+</body>
+</html>
+`;
+}
+
+/**
+ * Renders the page content of a single class, interface, or enum.
+ * * @param {Definition} definition
+ * @param {Array<Definition>} definitions - All definitions, for the inheritance chain.
+ * @param {Record<string, string>} pages - Page file name per definition name.
+ * @param {Record<string, Array<string>>} subclasses - Direct subclasses per definition name.
+ */
+function htmlDefinitionBody(definition, definitions, pages, subclasses) {
+    const link = (/** @type {string} */ name) => pages[name] ? `<a href="${pages[name]}">${htmlEscape(name)}</a>` : htmlEscape(name);
+    let output = `<h1>${definition.type} ${htmlEscape(definition.name)}</h1>\n`;
+
+    const chain = docAncestors(definition, definitions);
+    if (chain.length > 0) output += `<p>Extends ${chain.map(link).join(" → ")}</p>\n`;
+    if (subclasses[definition.name]) output += `<p>Subclasses: ${subclasses[definition.name].map(link).join(", ")}</p>\n`;
+
+    output += htmlDescription(definition);
+
+    if (definition.type === "enum") {
+        output += "<h2>Members</h2>\n<table>\n<tr><th>Name</th><th>Value</th><th>Description</th></tr>\n";
+        for (const prop of definition.props) {
+            output += `<tr id="${htmlMemberAnchor(prop)}"><td><code>${htmlEscape(prop.name)}</code></td><td><code>${htmlEscape(prop.types[0].value || "")}</code></td><td>${htmlDescription(prop)}</td></tr>\n`;
+        }
+        return output + "</table>\n";
+    }
+
+    const properties = definition.props.filter(prop => prop.type === "property");
+    if (properties.length > 0) {
+        output += "<h2>Properties</h2>\n<table>\n<tr><th>Name</th><th>Type</th><th>Description</th></tr>\n";
+        for (const prop of properties) {
+            const tags = (prop.isStatic ? `<span class="tag">static</span>` : "") + (prop.readonly ? `<span class="tag">readonly</span>` : "");
+            output += `<tr id="${htmlMemberAnchor(prop)}"><td>${tags}<code>${htmlEscape(prop.name)}</code></td><td>${htmlType(prop.types, link)}</td><td>${htmlDescription(prop)}</td></tr>\n`;
+        }
+        output += "</table>\n";
+    }
+
+    const methods = definition.props.filter(prop => prop.type !== "property");
+    if (methods.length > 0) {
+        output += "<h2>Methods</h2>\n";
+        for (const prop of methods) {
+            const signature = prop.type === "indexer"
+                ? "[" + prop.params.map(generateParam).join(", ") + "]: " + generateType(prop.types)
+                : (prop.isStatic ? "static " : "") + prop.name + "(" + prop.params.map(generateParam).join(", ") + ")" + (prop.name === "constructor" ? "" : ": " + generateType(prop.types));
+            output += `<div class="member" id="${htmlMemberAnchor(prop)}">\n<h3>${htmlEscape(prop.name)}</h3>\n<pre><code>${htmlEscape(signature)}</code></pre>\n`;
+            output += htmlDescription(prop);
+            if (prop.params.length > 0) {
+                output += "<table>\n<tr><th>Parameter</th><th>Type</th><th>Optional</th><th>Description</th></tr>\n";
+                for (const param of prop.params) {
+                    output += `<tr><td><code>${htmlEscape(param.name)}</code></td><td>${htmlType(param.types, link)}</td><td>${param.optional ? "yes" : ""}</td><td>${htmlEscape(param.desc.join(" ").trim())}</td></tr>\n`;
+                }
+                output += "</table>\n";
+            }
+            if (prop.type === "method" && prop.name !== "constructor") output += `<p>Returns ${htmlType(prop.types, link)}</p>\n`;
+            output += "</div>\n";
+        }
+    }
+    return output;
+}
+
+/**
+ * Renders the description lines and version info of a definition or member.
+ * * @param {Definition|Property} item
+ */
+function htmlDescription(item) {
+    let output = item.desc.map(line => `<p>${htmlEscape(line)}</p>\n`).join("");
+    if (item.since) output += `<p><span class="tag">since ${htmlEscape(item.since)}</span></p>\n`;
+    if (item.removedIn) output += `<p class="deprecated">Removed in ${htmlEscape(item.removedIn)}</p>\n`;
+    return output;
+}
+
+/**
+ * Renders a union type, linking every type that has its own page.
+ * * @param {Array<TypeInfo>} types
+ * @param {(name: string) => string} link
+ */
+function htmlType(types, link) {
+    return "<code>" + types.map(type => link(type.name) + (type.isArray ? "[]" : "")).join(" | ") + "</code>";
+}
+
+/**
+ * Anchor id of a member on its class page (static members get their own, as they may share a name).
+ * * @param {Property} prop
+ */
+function htmlMemberAnchor(prop) {
+    return (prop.isStatic ? "static-" : "") + prop.name.replace(/[^\w.-]/g, "_");
+}
+
+/**
+ * File name of a definition's documentation page. Kept unique case-insensitively, as the docs may be copied to Windows/macOS.
+ * * @param {string} name - Definition name
+ * @param {string} extension - e.g. ".html"
+ * @param {Record<string, string>} assigned - File names already assigned, per definition name
+ */
+function docFileName(name, extension, assigned) {
+    const base = name.replace(/[^\w.-]/g, "_");
+    const taken = new Set(Object.values(assigned).map(file => file.toLowerCase()).concat("index" + extension));
+    let file = base + extension;
+    for (let i = 2; taken.has(file.toLowerCase()); i++) file = base + "-" + i + extension;
+    return file;
+}
+
+/**
+ * Names of the superclasses of a definition, nearest first (guarded against cycles in broken data).
+ * * @param {Definition} definition
+ * @param {Array<Definition>} definitions
+ * @returns {Array<string>}
+ */
+function docAncestors(definition, definitions) {
+    const chain = [];
+    const seen = new Set([definition.name]);
+    let parent = definition.extend;
+    while (parent && !seen.has(parent)) {
+        chain.push(parent);
+        seen.add(parent);
+        const parentDef = definitions.find(def => def.name === parent);
+        parent = parentDef ? parentDef.extend : undefined;
+    }
+    return chain;
+}
+
+/**
+ * Escapes text for use in HTML content and attribute values.
+ * * @param {string} text
+ */
+function htmlEscape(text) {
+    return String(text).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+}
+
+// #region Markdown Docs
+// ==========================================
+// MARKDOWN DOCUMENTATION (wiki)
+// ==========================================
+
+/**
+ * Generates one Markdown page per class, interface, or enum from the same AST as generate(), plus an index.md.
+ * Type names that have their own page become relative links (e.g. [Project](Project.md)).
+ * * @param {Array<Definition>} definitions - The sorted and fixed AST.
+ * @param {DocsOptions} [options] - Title and intro of the index page.
+ * @returns {Array<GeneratedFile>}
+ */
+function generateMarkdownDocs(definitions, options = {}) {
+    definitions = definitions.filter(definition => !definition._stub);
+    /** @type {Record<string, string>} */
+    const pages = {};
+    for (const definition of definitions) pages[definition.name] = docFileName(definition.name, ".md", pages);
+    const link = (/** @type {string} */ name) => pages[name] ? `[${markdownEscape(name)}](${pages[name]})` : markdownEscape(name);
+
+    /** @type {Array<GeneratedFile>} */
+    const files = definitions.map(definition => ({ path: pages[definition.name], content: markdownDefinition(definition, definitions, link) }));
+
+    let index = `# ${markdownEscape(options.title || "API Reference")}\n\n`;
+    if (options.description) index += options.description.map(line => markdownEscape(line) + "\n\n").join("");
+    for (const [heading, type] of [["Classes", "class"], ["Interfaces", "interface"], ["Enums", "enum"]]) {
+        const ofType = definitions.filter(definition => definition.type === type);
+        if (ofType.length === 0) continue;
+        index += `## ${heading}\n\n` + ofType.map(definition => `- ${link(definition.name)}\n`).join("") + "\n";
+    }
+    files.unshift({ path: "index.md", content: index });
+    return files;
+}
+
+/**
+ * Renders the Markdown page of a single class, interface, or enum.
+ * * @param {Definition} definition
+ * @param {Array<Definition>} definitions - All definitions, for the inheritance chain.
+ * @param {(name: string) => string} link - Renders a type name, linked if it has a page.
+ */
+function markdownDefinition(definition, definitions, link) {
+    let output = `# ${definition.type} ${markdownEscape(definition.name)}\n\n`;
+    const chain = docAncestors(definition, definitions);
+    if (chain.length > 0) output += `Extends ${chain.map(link).join(" → ")}\n\n`;
+    output += markdownDescription(definition, "\n\n");
+
+    if (definition.type === "enum") {
+        output += "## Members\n\n| Name | Value | Description |\n|---|---|---|\n";
+        for (const prop of definition.props) {
+            output += `| \`${prop.name}\` | \`${prop.types[0].value || ""}\` | ${markdownCell(markdownDescription(prop, " "))} |\n`;
+        }
+        return output;
+    }
+
+    const properties = definition.props.filter(prop => prop.type === "property");
+    if (properties.length > 0) {
+        output += "## Properties\n\n| Name | Type | Description |\n|---|---|---|\n";
+        for (const prop of properties) {
+            const markers = (prop.isStatic ? "*static* " : "") + (prop.readonly ? "*readonly* " : "");
+            output += `| ${markers}\`${prop.name}\` | ${markdownType(prop.types, link)} | ${markdownCell(markdownDescription(prop, " "))} |\n`;
+        }
+        output += "\n";
+    }
+
+    const methods = definition.props.filter(prop => prop.type !== "property");
+    if (methods.length > 0) {
+        output += "## Methods\n\n";
+        for (const prop of methods) {
+            const params = prop.params.map(generateParam).join(", ");
+            const signature = prop.type === "indexer" ? "[" + params + "]: " + generateType(prop.types)
+                : (prop.isStatic ? "static " : "") + prop.name + "(" + params + ")" + (prop.name === "constructor" ? "" : ": " + generateType(prop.types));
+            output += `### ${markdownEscape(prop.name)}\n\n\`\`\`ts\n${signature}\n\`\`\`\n\n`;
+            output += markdownDescription(prop, "\n\n");
+            if (prop.params.length > 0) {
+                output += "| Parameter | Type | Optional | Description |\n|---|---|---|---|\n";
+                for (const param of prop.params) {
+                    output += `| \`${param.name}\` | ${markdownType(param.types, link)} | ${param.optional ? "yes" : ""} | ${markdownCell(markdownEscape(param.desc.join(" ").trim()))} |\n`;
+                }
+                output += "\n";
+            }
+            if (prop.type === "method" && prop.name !== "constructor") output += `Returns ${markdownType(prop.types, link)}\n\n`;
+        }
+    }
+    return output;
+}
+
+/**
+ * Description lines and version info of a definition or member, each followed by the separator.
+ * * @param {Definition|Property} item
+ * @param {string} separator - "\n\n" for paragraphs, " " inside table cells
+ */
+function markdownDescription(item, separator) {
+    const lines = item.desc.map(markdownEscape);
+    if (item.since) lines.push(`*Since ${item.since}*`);
+    if (item.removedIn) lines.push(`**Removed in ${item.removedIn}**`);
+    return lines.map(line => line + separator).join("");
+}
+
+/**
+ * Renders a union type, linking every type that has its own page.
+ * * @param {Array<TypeInfo>} types
+ * @param {(name: string) => string} link
+ */
+function markdownType(types, link) {
+    return types.map(type => link(type.name) + (type.isArray ? "\\[]" : "")).join(" \\| ");
+}
+
+/**
+ * Puts already escaped text (see markdownEscape, which also escapes pipes) on a single line for a table cell.
+ * * @param {string} text
+ */
+function markdownCell(text) {
+    return text.trim().replace(/\s*\n\s*/g, " ");
+}
+
+/**
+ * Escapes the Markdown characters that commonly appear in the XML descriptions (e.g. "_", "*", "<").
+ * * @param {string} text
+ */
+function markdownEscape(text) {
+    return String(text).replace(/([\\`*_[\]<>|])/g, "\\$1");
+}
+
+// #region API Diff
+// ==========================================
+// VERSION COMPARISON
+// ==========================================
+
+/** Minimum share of member names two classes must have in common to be reported as a rename (0-1) */
+const RENAME_SIMILARITY_THRESHOLD = 0.8;
+
+/**
+ * Compares two ASTs of the same object model and reports what changed.
+ * Classes that disappear while a new class with (almost) the same members appears are reported as renamed.
+ * * @param {Array<Definition>} oldDefinitions - AST of the older version.
+ * @param {Array<Definition>} newDefinitions - AST of the newer version.
+ * @param {string} fromLabel - Label for the older version (e.g., "25.5.0").
+ * @param {string} toLabel - Label for the newer version.
+ * @returns {DiffReport}
+ */
+function diffDefinitions(oldDefinitions, newDefinitions, fromLabel, toLabel) {
+    // Stubs are type references, not classes of the object model
+    oldDefinitions = oldDefinitions.filter(d => !d._stub);
+    newDefinitions = newDefinitions.filter(d => !d._stub);
+    const oldByName = new Map(oldDefinitions.map(d => [d.name, d]));
+    const newByName = new Map(newDefinitions.map(d => [d.name, d]));
+
+    let removed = oldDefinitions.filter(d => !newByName.has(d.name));
+    let added = newDefinitions.filter(d => !oldByName.has(d.name));
+
+    // Rename detection: pair each removed class with the added class sharing the most member names
+    /** @type {Array<{from: string, to: string, similarity: number}>} */
+    const renamedClasses = [];
+    /** @type {Array<[Definition, Definition]>} */
+    const pairs = [];
+    for (const oldDef of removed) {
+        let best = null;
+        let bestSimilarity = 0;
+        for (const newDef of added) {
+            if (newDef.type !== oldDef.type) continue;
+            const similarity = diffMemberSimilarity(oldDef, newDef);
+            if (similarity > bestSimilarity) {
+                best = newDef;
+                bestSimilarity = similarity;
+            }
+        }
+        if (best && bestSimilarity >= RENAME_SIMILARITY_THRESHOLD) {
+            renamedClasses.push({ from: oldDef.name, to: best.name, similarity: Math.round(bestSimilarity * 100) / 100 });
+            pairs.push([oldDef, best]);
+            added = added.filter(d => d !== best);
+        }
+    }
+    const renamedOld = new Set(pairs.map(([oldDef]) => oldDef));
+    removed = removed.filter(d => !renamedOld.has(d));
+
+    for (const newDef of newDefinitions) {
+        const oldDef = oldByName.get(newDef.name);
+        if (oldDef) pairs.push([oldDef, newDef]);
+    }
+
+    /** @type {Array<ClassDiff>} */
+    const changedClasses = [];
+    for (const [oldDef, newDef] of pairs) {
+        const classDiff = diffDefinition(oldDef, newDef);
+        const hasChanges = classDiff.renamedFrom || classDiff.kindChange || classDiff.extendChange ||
+            classDiff.addedProps.length > 0 || classDiff.removedProps.length > 0 || classDiff.changedProps.length > 0;
+        if (hasChanges) changedClasses.push(classDiff);
+    }
+    changedClasses.sort((a, b) => (a.name < b.name ? -1 : a.name > b.name ? 1 : 0));
+
+    return {
+        from: fromLabel,
+        to: toLabel,
+        addedClasses: added.map(d => d.name).sort(),
+        removedClasses: removed.map(d => d.name).sort(),
+        renamedClasses,
+        changedClasses,
+    };
+}
+
+/**
+ * Share of member names two definitions have in common (Jaccard index, 0-1).
+ * * @param {Definition} a
+ * @param {Definition} b
+ * @returns {number}
+ */
+function diffMemberSimilarity(a, b) {
+    const namesA = new Set(a.props.map(diffMemberKey));
+    const namesB = new Set(b.props.map(diffMemberKey));
+    if (namesA.size === 0 && namesB.size === 0) return 0; // Empty classes say nothing about identity
+    let shared = 0;
+    for (const name of namesA) if (namesB.has(name)) shared++;
+    return shared / (namesA.size + namesB.size - shared);
+}
+
+/**
+ * Key identifying a member across versions. Static and instance members may share a name.
+ * * @param {Property} prop
+ * @returns {string}
+ */
+function diffMemberKey(prop) {
+    return (prop.isStatic ? "static " : "") + prop.name;
+}
+
+/**
+ * Compares two versions of the same class.
+ * * @param {Definition} oldDef
+ * @param {Definition} newDef
+ * @returns {ClassDiff}
+ */
+function diffDefinition(oldDef, newDef) {
+    /** @type {ClassDiff} */
+    const classDiff = { name: newDef.name, addedProps: [], removedProps: [], changedProps: [] };
+    if (oldDef.name !== newDef.name) classDiff.renamedFrom = oldDef.name;
+    if (oldDef.type !== newDef.type) classDiff.kindChange = { from: oldDef.type, to: newDef.type };
+    if ((oldDef.extend || "") !== (newDef.extend || "")) {
+        classDiff.extendChange = { from: oldDef.extend || "", to: newDef.extend || "" };
+    }
+
+    const oldProps = new Map(oldDef.props.map(p => [diffMemberKey(p), p]));
+    const newProps = new Map(newDef.props.map(p => [diffMemberKey(p), p]));
+
+    for (const [key, newProp] of newProps) {
+        const oldProp = oldProps.get(key);
+        if (!oldProp) {
+            classDiff.addedProps.push(key);
+            continue;
+        }
+        /** @type {Array<MemberChange>} */
+        const changes = [];
+        if (newProp.type === 'method' || newProp.type === 'indexer') {
+            const oldParams = "(" + oldProp.params.map(generateParam).join(", ") + ")";
+            const newParams = "(" + newProp.params.map(generateParam).join(", ") + ")";
+            if (oldParams !== newParams) changes.push({ kind: 'params', from: oldParams, to: newParams });
+        }
+        const oldType = generateType(oldProp.types);
+        const newType = generateType(newProp.types);
+        if (oldType !== newType) changes.push({ kind: 'type', from: oldType, to: newType });
+        if (oldProp.readonly !== newProp.readonly) {
+            changes.push({ kind: 'readonly', from: String(oldProp.readonly), to: String(newProp.readonly) });
+        }
+        if (changes.length > 0) classDiff.changedProps.push({ name: key, changes });
+    }
+    for (const key of oldProps.keys()) {
+        if (!newProps.has(key)) classDiff.removedProps.push(key);
+    }
+    classDiff.addedProps.sort();
+    classDiff.removedProps.sort();
+    return classDiff;
+}
+
+/**
+ * Renders a DiffReport as a Markdown document.
+ * * @param {DiffReport} report
+ * @returns {string}
+ */
+function formatDiffMarkdown(report) {
+    const code = (/** @type {string} */ text) => "`" + text + "`";
+    let output = `# API diff: ${report.from} → ${report.to}\n\n`;
+
+    output += "| Change | Count |\n|---|---|\n";
+    output += `| Added classes | ${report.addedClasses.length} |\n`;
+    output += `| Removed classes | ${report.removedClasses.length} |\n`;
+    output += `| Renamed classes | ${report.renamedClasses.length} |\n`;
+    output += `| Changed classes | ${report.changedClasses.length} |\n\n`;
+
+    if (report.addedClasses.length > 0) {
+        output += "## Added classes\n\n" + report.addedClasses.map(name => `- ${code(name)}\n`).join("") + "\n";
+    }
+    if (report.removedClasses.length > 0) {
+        output += "## Removed classes\n\n" + report.removedClasses.map(name => `- ${code(name)}\n`).join("") + "\n";
+    }
+    if (report.renamedClasses.length > 0) {
+        output += "## Renamed classes\n\n";
+        for (const rename of report.renamedClasses) {
+            output += `- ${code(rename.from)} → ${code(rename.to)} (${Math.round(rename.similarity * 100)}% of members shared)\n`;
+        }
+        output += "\n";
+    }
+    if (report.changedClasses.length > 0) {
+        output += "## Changed classes\n\n";
+        for (const classDiff of report.changedClasses) {
+            output += `### ${code(classDiff.name)}\n\n`;
+            if (classDiff.renamedFrom) output += `- Renamed from ${code(classDiff.renamedFrom)}\n`;
+            if (classDiff.kindChange) output += `- Kind: ${classDiff.kindChange.from} → ${classDiff.kindChange.to}\n`;
+            if (classDiff.extendChange) {
+                output += `- Extends: ${code(classDiff.extendChange.from || "(none)")} → ${code(classDiff.extendChange.to || "(none)")}\n`;
+            }
+            for (const name of classDiff.addedProps) output += `- Added ${code(name)}\n`;
+            for (const name of classDiff.removedProps) output += `- Removed ${code(name)}\n`;
+            for (const memberDiff of classDiff.changedProps) {
+                for (const change of memberDiff.changes) {
+                    if (change.kind === 'readonly') {
+                        output += `- ${code(memberDiff.name)} ${change.to === "true" ? "is now readonly" : "is no longer readonly"}\n`;
+                    } else {
+                        output += `- ${code(memberDiff.name)} ${change.kind}: ${code(change.from)} → ${code(change.to)}\n`;
+                    }
+                }
+            }
+            output += "\n";
+        }
+    }
+    return output;
+}
+
+// #region Version Merge
+// ==========================================
+// MULTI-VERSION MERGE (@since / @deprecated)
+// ==========================================
+
+/**
+ * Merges the ASTs of several versions of one app into a single AST covering all of them.
+ * The newest copy of every definition/member wins. Anything that first appears after the oldest
+ * version gets `since`, and anything missing from the newest version gets `removedIn`.
+ * Members only get tags that differ from their definition's, so a removed class doesn't tag every member.
+ * Stubs get no tags, and are only kept for names no version declares.
+ * * @param {Array<VersionedDefinitions>} versions - Parsed versions, in any order.
+ * @returns {Array<Definition>} - The merged (unsorted) AST.
+ */
+function mergeDefinitionVersions(versions) {
+    const ordered = versions.slice().sort((a, b) => compareVersions(a.version, b.version));
+    if (ordered.length === 0) return [];
+    const lastIndex = ordered.length - 1;
+
+    /** @type {Map<string, {def: Definition, firstIndex: number, lastIndex: number, props: Map<string, {prop: Property, firstIndex: number, lastIndex: number}>}>} */
+    const merged = new Map();
+
+    /** @type {Map<string, Definition>} */
+    const stubs = new Map();
+
+    for (const [versionIndex, { definitions }] of ordered.entries()) {
+        for (const def of definitions) {
+            if (def._stub) {
+                stubs.set(def.name, def);
+                continue;
+            }
+            let entry = merged.get(def.name);
+            if (!entry) {
+                entry = { def, firstIndex: versionIndex, lastIndex: versionIndex, props: new Map() };
+                merged.set(def.name, entry);
+            }
+            entry.def = def; // Newer versions overwrite descriptions, types and extends
+            entry.lastIndex = versionIndex;
+
+            for (const prop of def.props) {
+                const key = diffMemberKey(prop);
+                const propEntry = entry.props.get(key);
+                if (propEntry) {
+                    propEntry.prop = prop;
+                    propEntry.lastIndex = versionIndex;
+                } else {
+                    entry.props.set(key, { prop, firstIndex: versionIndex, lastIndex: versionIndex });
+                }
+            }
+        }
+    }
+
+    /**
+     * @param {number} firstIndex
+     * @param {number} lastSeenIndex
+     * @returns {{since?: string, removedIn?: string}}
+     */
+    const versionTags = (firstIndex, lastSeenIndex) => {
+        /** @type {{since?: string, removedIn?: string}} */
+        const tags = {};
+        if (firstIndex > 0) tags.since = ordered[firstIndex].version;
+        if (lastSeenIndex < lastIndex) tags.removedIn = ordered[lastSeenIndex + 1].version;
+        return tags;
+    };
+
+    /** @type {Array<Definition>} */
+    const result = [];
+    for (const entry of merged.values()) {
+        const defTags = versionTags(entry.firstIndex, entry.lastIndex);
+        const props = [];
+        for (const propEntry of entry.props.values()) {
+            const propTags = versionTags(propEntry.firstIndex, propEntry.lastIndex);
+            /** @type {Property} */
+            const prop = Object.assign({}, propEntry.prop);
+            if (propTags.since && propTags.since !== defTags.since) prop.since = propTags.since;
+            if (propTags.removedIn && propTags.removedIn !== defTags.removedIn) prop.removedIn = propTags.removedIn;
+            props.push(prop);
+        }
+        result.push(Object.assign({}, entry.def, defTags, { props }));
+    }
+    for (const stub of stubs.values()) {
+        if (!merged.has(stub.name)) result.push(stub);
+    }
+    return result;
+}
+
+// #region AST Export
+// ==========================================
+// JSON AST EXPORT / IMPORT
+// ==========================================
+
+/**
+ * Serializes the refined AST into a versioned JSON document for external tooling.
+ * Internal "_" flags are moved into a "meta" block per node so the public fields stay clean.
+ * * @param {Array<Definition>} definitions - The refined (usually sorted) AST.
+ * @param {Object<string, string>} [source] - Optional origin info stored in the document.
+ * @param {MapInfo|null} [map] - The <map> of the XML (ConversionResult.map), if any.
+ * @returns {AstDocument}
+ */
+function exportDefinitionsJson(definitions, source, map) {
+    /** @type {AstDocument} */
+    const doc = { schema: AST_SCHEMA_NAME, schemaVersion: AST_SCHEMA_VERSION, source, definitions: [] };
+    if (!source) delete doc.source;
+    if (map) doc.map = map;
+    doc.definitions = definitions.map(def => astExportNode(Object.assign({}, def, {
+        props: def.props.map(prop => astExportNode(Object.assign({}, prop, {
+            params: prop.params.map(param => astExportNode(Object.assign({}, param, {
+                types: param.types.map(astExportNode),
+            }))),
+            types: prop.types.map(astExportNode),
+        }))),
+    })));
+    return doc;
+}
+
+/**
+ * Copies a node, moving "_flag" keys into node.meta.flag and dropping undefined values.
+ * * @param {Object<string, any>} node
+ * @returns {Object<string, any>}
+ */
+function astExportNode(node) {
+    /** @type {Object<string, any>} */
+    const result = {};
+    /** @type {Object<string, any>} */
+    const meta = {};
+    for (const [key, value] of Object.entries(node)) {
+        if (value === undefined) continue;
+        if (key.startsWith("_")) meta[key.substring(1)] = value;
+        else result[key] = value;
+    }
+    if (Object.keys(meta).length > 0) result.meta = meta;
+    return result;
+}
+
+/**
+ * Reads a document written by exportDefinitionsJson back into an AST that generate() accepts.
+ * Meta blocks are restored as internal "_" flags, so the AST can also be refined again.
+ * * @param {AstDocument|string} json - The parsed document or its JSON text.
+ * @returns {Array<Definition>}
+ */
+function importDefinitionsJson(json) {
+    const doc = typeof json === "string" ? JSON.parse(json) : json;
+    if (!doc || doc.schema !== AST_SCHEMA_NAME) {
+        throw new Error(`Not an AST export (expected schema "${AST_SCHEMA_NAME}")`);
+    }
+    if (typeof doc.schemaVersion !== "number" || doc.schemaVersion > AST_SCHEMA_VERSION) {
+        throw new Error(`Unsupported AST schema version ${doc.schemaVersion} (this converter reads up to ${AST_SCHEMA_VERSION})`);
+    }
+    if (!Array.isArray(doc.definitions)) throw new Error("AST export has no definitions array");
+
+    return doc.definitions.map((/** @type {Object<string, any>} */ def) => /** @type {Definition} */ (Object.assign(astImportNode(def), {
+        desc: def.desc || [],
+        props: (def.props || []).map((/** @type {Object<string, any>} */ prop) => Object.assign(astImportNode(prop), {
+            desc: prop.desc || [],
+            params: (prop.params || []).map((/** @type {Object<string, any>} */ param) => Object.assign(astImportNode(param), {
+                desc: param.desc || [],
+                types: (param.types || []).map(astImportNode),
+            })),
+            types: (prop.types || []).map(astImportNode),
+        })),
+    })));
+}
+
+/**
+ * Inverse of astExportNode: copies a node and turns node.meta.flag back into "_flag".
+ * * @param {Object<string, any>} node
+ * @returns {Object<string, any>}
+ */
+function astImportNode(node) {
+    /** @type {Object<string, any>} */
+    const result = {};
+    for (const [key, value] of Object.entries(node)) {
+        if (key === "meta") continue;
+        result[key] = value;
+    }
+    if (node.meta) {
+        for (const [key, value] of Object.entries(node.meta)) result["_" + key] = value;
+    }
+    return result;
+}
+
+// #region Reporting
+// ==========================================
+// SUMMARIES & FILE NAME HELPERS
+// ==========================================
+
+/**
+ * Counts definitions/methods and collects warnings about data that could not be recovered.
+ * * @param {Array<Definition>} definitions - The refined AST.
+ * @returns {ConversionSummary}
+ */
+function summarizeDefinitions(definitions) {
+    let classCount = 0;
+    let enumCount = 0;
+    let methodCount = 0;
+    /** @type {Array<string>} */
+    const warnings = [];
+    const placeholderPattern = new RegExp(`^${UNNAMED_ARG_PREFIX}\\d+$`);
+
+    for (const def of definitions) {
+        if (def._stub) continue;
+        if (def.type === 'enum') enumCount++;
+        else classCount++;
+
+        for (const prop of def.props) {
+            if (prop.type !== 'method') continue;
+            methodCount++;
+
+            // Rule: A uArg# that survived the binary stage means the real name was never recovered
+            const placeholders = prop.params.filter(p => placeholderPattern.test(p.name)).map(p => p.name);
+            if (placeholders.length > 0) {
+                warnings.push(`${def.name}.${prop.name}: unrecovered parameter name(s) ${placeholders.join(', ')}`);
+            }
+        }
+    }
+    return { classCount, enumCount, methodCount, warnings };
+}
+
+/**
+ * Parses the app and version out of an ExtendScript Toolkit dump name.
+ * Format: omv$<appId>-<domVersion>$<version>.xml (e.g. "omv$premierepro-25.0$25.6.3.xml").
+ * * @param {string} fileName - File name without directories.
+ * @returns {XmlFileInfo|null} - Null if the name doesn't follow the Toolkit format.
+ */
+function parseXmlFileName(fileName) {
+    const match = fileName.match(/^omv\$(.+)-(\d+(?:\.\d+)*)\$(\d+(?:\.\d+)*)\.xml$/i);
+    if (!match) return null;
+    return { appId: match[1], domVersion: match[2], version: match[3] };
+}
+
+/**
+ * Compares dotted version strings numerically ("25.10.0" > "25.6.3"). Usable as an Array.sort callback.
+ * * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+function compareVersions(a, b) {
+    const partsA = a.split('.').map(Number);
+    const partsB = b.split('.').map(Number);
+    for (let i = 0; i < Math.max(partsA.length, partsB.length); i++) {
+        const diff = (partsA[i] || 0) - (partsB[i] || 0);
+        if (diff !== 0) return diff;
+    }
+    return 0;
+}
+
+// #region Exports
+// ==========================================
+// ENVIRONMENT EXPORTS (Browser & Node.js)
+// ==========================================
+
+// In the browser (index.html, worker.js) the top-level functions of this classic script are already globals.
+
+// CommonJS export for the Node.js CLI (cli.js). Skipped when loaded via <script> in the browser.
+if (typeof module !== 'undefined' && module.exports) {
+    // @ts-ignore - module only exists in Node.js
+    module.exports = {
+        convertXmlDomToDts,
+        convertXmlDom,
+        summarizeDefinitions,
+        parseXmlFileName,
+        compareVersions,
+        createLogger,
+        LOG_LEVELS,
+        LOG_CATEGORIES,
+        TYPE_NAME_RULES,
+        compileTypeNameRules,
+        OUTPUT_PROFILES,
+        HOST_APPS,
+        inferGlobalInstances,
+        parseMap,
+        mapHeader,
+        diffDefinitions,
+        formatDiffMarkdown,
+        mergeDefinitionVersions,
+        exportDefinitionsJson,
+        importDefinitionsJson,
+        AST_SCHEMA_NAME,
+        AST_SCHEMA_VERSION,
+        parse,
+        refineDefinitionsWithDlls,
+        indexDlls,
+        indexDll,
+        createDllIndex,
+        serializeIndexedDll,
+        restoreIndexedDll,
+        findStringSections,
+        serializeXmlElement,
+        xmlTreeDocument,
+        buildStringIndex,
+        sort,
+        applyPatch,
+        validatePatch,
+        summarizePatchResults,
+        compileFixDecisions,
+        exportFixDecisions,
+        generateMethodPreview,
+        FIX_DECISIONS_SCHEMA_NAME,
+        FIX_DECISIONS_SCHEMA_VERSION,
+        resolveTypeReferences,
+        UNRESOLVED_TYPE_MODES,
+        generate,
+        generateHtmlSite,
+        generateMarkdownDocs,
+        validateDts,
+    };
+}
@@ -0,0 +1,46 @@
+/**
+ * Web Worker used by index.html to run conversions off the page's main thread,
+ * so indexing large DLLs does not freeze the tab. Cancelling is done by terminating the worker.
+ * The DLLs are indexed once for the whole batch, using the IndexedDB cache of dll-cache.js.
+ *
+ * Message in (one per batch):
+ *   { files: Array<{name, tree}>, dllBuffers, options, logOptions, typescriptUrl }
+ *   `tree` is the XML document element from serializeXmlElement (workers have no DOMParser),
+ *   `options` are ConversionOptions without functions, `typescriptUrl` loads the compiler for validation.
+ * Messages out:
+ *   { type: 'ready' }                     - index.js loaded; the page waits for this before sending the batch
+ *   { type: 'progress', file, progress }  - ConversionProgress of the file at index `file` (file is null while indexing the DLLs)
+ *   { type: 'result', file, result }      - ConversionResult of that file
+ *   { type: 'done' } or { type: 'error', message }
+ */
+/* global importScripts, convertXmlDom, xmlTreeDocument, createLogger, loadDllIndex */
+importScripts('index.js', 'dll-cache.js');
+self.postMessage({ type: 'ready' });
+
+self.onmessage = async (event) => {
+    const { files, dllBuffers, options, logOptions, typescriptUrl } = event.data;
+    try {
+        let typescript;
+        if (typescriptUrl) {
+            importScripts(typescriptUrl);
+            typescript = self.ts;
+        }
+        const logger = createLogger(logOptions);
+        const dllIndex = await loadDllIndex(dllBuffers, {
+            logger,
+            onProgress: (progress) => self.postMessage({ type: 'progress', file: null, progress })
+        });
+
+        files.forEach((file, index) => {
+            const result = convertXmlDom(xmlTreeDocument(file.tree), dllIndex, Object.assign({}, options, {
+                logger,
+                typescript,
+                onProgress: (progress) => self.postMessage({ type: 'progress', file: index, progress })
+            }));
+            self.postMessage({ type: 'result', file: index, result });
+        });
+        self.postMessage({ type: 'done' });
+    } catch (e) {
+        self.postMessage({ type: 'error', message: e.message });
+    }
+};